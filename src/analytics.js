@@ -1,12 +1,17 @@
 var after       = require('after')
   , bind        = require('event').bind
   , clone       = require('clone')
+  , debug       = require('./debug')
   , each        = require('each')
+  , Emitter     = require('emitter')
   , extend      = require('extend')
+  , indexOf     = require('indexof')
   , size        = require('object').length
+  , Plan        = require('./plan')
   , Provider    = require('./provider')
   , providers   = require('./providers')
   , querystring = require('querystring')
+  , Storage     = require('./storage')
   , type        = require('type')
   , url         = require('url')
   , utils       = require('./utils');
@@ -15,10 +20,125 @@ var after       = require('after')
 module.exports = Analytics;
 
 
-function Analytics (Providers) {
+var log = debug('analytics');
+
+
+// The default settings for `initialize`, which can be overridden by passing in
+// an `options` dictionary.
+var defaults = {
+  // Whether to persist the identified `userId` and `traits`, and the
+  // `groupId` and group traits, across page loads.
+  persist : true,
+
+  // Where to persist state, passed straight to `Storage`. Either a type of
+  // `'cookie'` or `'localStorage'`, or a dictionary of storage options.
+  storage : 'cookie',
+
+  // Whether to persist the properties added with `register` across page
+  // loads as well.
+  persistSuperProperties : false,
+
+  // A tracking plan to check `track` and `identify` calls against. See
+  // `Plan` for what it looks like.
+  plan : null,
+
+  // Whether providers have to wait for the visitor to consent to their
+  // category before they're loaded. See `consent`.
+  requireConsent : false,
+
+  // Whether to queue up calls for providers that are waiting for consent,
+  // and send them along once it's granted, instead of dropping them.
+  queueUntilConsent : true,
+
+  // Whether to treat visitors whose browser sends a Do Not Track header as
+  // opted out. See `optOut`.
+  respectDoNotTrack : false,
+
+  // How long a visitor can be inactive for, in milliseconds, before their
+  // session ends and their next call starts a new one. Defaults to 30
+  // minutes.
+  sessionTimeout : 1800000,
+
+  // Whether to track `'Session Started'` and `'Session Ended'` events as
+  // visitors' sessions start and end. See `sessionId`.
+  trackSessions : false,
+
+  // Whether to call `page` whenever the URL changes without a page load,
+  // like in single-page apps that route with `pushState` or the hash. See
+  // `watchHistory`.
+  autoPageview : false,
+
+  // The most milliseconds to wait for providers to load before calling the
+  // `ready` callbacks anyway, so that one script that never loads can't hold
+  // them up forever. Set it to `null` to wait for as long as it takes.
+  readyTimeout : 10000,
+
+  // Whether to remove the `ajs_` parameters from the URL in the address bar
+  // once we've read them, so that they don't end up in shared links or in
+  // the page paths providers track.
+  stripUrlParameters : false,
+
+  // A prefix for the keys of everything analytics.js stores, for running a
+  // separate instance of it on a page that might already have one, like in
+  // an embedded widget.
+  namespace : null
+};
+
+
+// Everything analytics.js keeps in storage about the visitor, which is
+// cleared when they revoke their consent.
+var storageKeys = [
+  'ajs_anonymous_id',
+  'ajs_user_id',
+  'ajs_user_traits',
+  'ajs_group_id',
+  'ajs_group_traits',
+  'ajs_campaign',
+  'ajs_super_properties',
+  'ajs_session',
+  'ajs_aliased'
+];
+
+
+// Make a new instance of analytics.js that can initialize any of the
+// `Providers`. Most pages only ever use the one that `analytics` is already
+// set to, but separate instances keep all of their state to themselves, so
+// that a widget can run its own next to the page's:
+//
+//     var Analytics = require('analytics/src/analytics');
+//     var analytics = new Analytics(providers, { namespace : 'widget' });
+//
+// Any `options` become this instance's defaults for `initialize`, and are
+// used right away, so that things like the anonymous ID are stored under the
+// right `namespace` even before it's initialized.
+function Analytics (Providers, options) {
   this.VERSION = '0.7.1';
 
   var self = this;
+  // State that each instance keeps to itself.
+  this.initializableProviders = {};
+  this.traits = {};
+  this.groupTraits = {};
+  this.superProperties = {};
+  this.readyCallbacks = [];
+  this.middleware = [];
+  this.providerMiddleware = {};
+  this.queue = [];
+  this.providers = [];
+  this.pendingProviders = {};
+  this.heldProviders = {};
+  this.consentQueue = [];
+  this.consented = {};
+  this.providerStates = {};
+  this.defaults = extend({}, defaults, options);
+  // Use the default options until `initialize` tells us otherwise.
+  this.options = extend({}, this.defaults);
+  this.cookies = new Storage(storageOptions(this.options, 'cookie'));
+  this.storage = new Storage(this.canStore() ? storageOptions(this.options) : 'memory');
+  // Turn on debug mode if it's in the URL, or was turned on before.
+  var flag = querystring.parse(url.parse(window.location.href).query).ajs_debug;
+  if (flag) this.debug(flag === 'false' ? false : flag === 'true' || flag);
+  else debug.enable(new Storage('localStorage').get('ajs_debug'));
   // Loop through and add each of our `Providers`, so they can be initialized
   // later by the user.
   each(Providers, function (key, Provider) {
@@ -37,12 +157,33 @@ function Analytics (Providers) {
 // Add to the `Analytics` prototype.
 extend(Analytics.prototype, {
 
-  // Providers that can be initialized. Add using `this.addProvider`.
-  initializableProviders : {},
+  // Providers that can be initialized, keyed by name. Add using
+  // `this.addProvider`.
+  initializableProviders : null,
 
   // Cache the `userId` when a user is identified.
   userId : null,
 
+  // Cache all of the `traits` the user has been identified with, merged
+  // together.
+  traits : null,
+
+  // Cache the `groupId` when a user is grouped.
+  groupId : null,
+
+  // Cache all of the `traits` the group has been identified with, merged
+  // together.
+  groupTraits : null,
+
+  // The UTM campaign the visitor last arrived with, if any.
+  campaign : null,
+
+  // The tracking plan from `initialize`, if any.
+  plan : null,
+
+  // Properties added with `register`, that get sent along with every `track`.
+  superProperties : null,
+
   // Store the date when the page loaded, for services that depend on it.
   date : new Date(),
 
@@ -53,25 +194,91 @@ extend(Analytics.prototype, {
   // Whether analytics.js has been initialized with providers.
   initialized : false,
 
+  // Whether the providers from the latest `initialize` have all loaded,
+  // failed to, or timed out, and the `ready` callbacks have been called.
+  isReady : false,
+
   // A queue for storing `ready` callback functions to get run when
   // analytics have been initialized.
-  readyCallbacks : [],
+  readyCallbacks : null,
 
-  // The amount of milliseconds to wait for requests to providers to clear
-  // before navigating away from the current page.
+  // Middleware functions that every call goes through, added with `use`.
+  middleware : null,
+
+  // Middleware functions for individual providers, keyed by provider name.
+  providerMiddleware : null,
+
+  // A queue for storing calls to `identify`, `group`, `track`, `page` and
+  // `alias` made before analytics have been initialized, so that they can be
+  // replayed in order once they are.
+  queue : null,
+
+  // The maximum number of calls to keep in the queue before initialize. Any
+  // calls past that are dropped, so that a page which never initializes
+  // doesn't hold on to an ever-growing queue.
+  queueSize : 100,
+
+  // The most milliseconds to wait for requests to providers to clear before
+  // calling back, or navigating away from the current page. Callbacks fire
+  // sooner if every provider confirms that its request was sent.
   timeout : 300,
 
-  providers : [],
+  // The providers that have been initialized.
+  providers : null,
+
+  // The settings of providers that are waiting for consent to their category,
+  // keyed by provider name.
+  pendingProviders : null,
+
+  // The providers that were initialized, but are held back since their
+  // consent was revoked or the visitor opted out, keyed by provider name.
+  // They're called again as they were if they can be later on.
+  heldProviders : null,
+
+  // Calls made while providers are waiting for consent, to send along to them
+  // once it's granted.
+  consentQueue : null,
+
+  // The consent categories the visitor has granted or revoked.
+  consented : null,
+
+  // Whether each provider is `'loading'`, `'ready'`, `'failed'` or
+  // `'timed out'`, keyed by provider name. See `providerStatus`.
+  providerStates : null,
+
+  // The timer for `readyTimeout`, and the function that calls the `ready`
+  // callbacks for the latest call to `initialize`.
+  readyTimer : null,
+  finishReady : null,
+
+  // A cookie storage that's always available, even when nothing else about
+  // the visitor is stored, for remembering their consent and whether they
+  // opted out.
+  cookies : null,
+
+  // The default options for `initialize`, from the constructor.
+  defaults : null,
+
+  // Whether we're in the middle of tracking the start or end of a session,
+  // so that those `track` calls don't try to do it again.
+  trackingSession : false,
+
+  // Whether we've wrapped the History API and started listening for URL
+  // changes yet, and the last URL we called `page` for, for `autoPageview`.
+  watchingHistory : false,
+  lastUrl : null,
 
   Provider : Provider,
 
   // Adds a provider to the list of available providers that can be
   // initialized.
   addProvider : function (name, Provider) {
-    this.initializableProviders[name] = Provider;
-    // add the provider's name so that we can later match turned
-    // off providers to their context map position
-    Provider.prototype.name = name;
+    // Add the provider's name so that we can later match turned off providers
+    // to their context map position. It goes on a subclass of our own, since
+    // other instances might have added the same provider under another name.
+    this.initializableProviders[name] = this.Provider.extend.call(Provider, {
+      name : name
+    });
   },
 
 
@@ -90,56 +297,903 @@ extend(Analytics.prototype, {
   // * `providers` is a dictionary of the providers you want to enabled.
   // The keys are the names of the providers and their values are either
   // an api key, or dictionary of extra settings (including the api key).
-  initialize : function (providers) {
+  //
+  // * `options` (optional) is a dictionary of settings for analytics.js
+  // itself, like whether to `persist` the identified user and which
+  // `storage` to persist it in.
+  initialize : function (providers, options) {
     var self = this;
 
     // Reset our state.
+    clearTimeout(this.readyTimer);
+    this.isReady = false;
     this.providers = [];
+    this.providerStates = {};
+    this.options = extend({}, this.defaults, options);
+    this.cookies = new Storage(storageOptions(this.options, 'cookie'));
+    this.consented = extend({}, this.cookies.get('ajs_consent'), this.consented);
+    this.storage = new Storage(this.canStore() ? storageOptions(this.options) : 'memory');
     this.userId = null;
+    this.traits = {};
+    this.groupId = null;
+    this.groupTraits = {};
+    this.plan = null;
+    this.pendingProviders = {};
+    this.heldProviders = {};
+    this.consentQueue = [];
+
+    var query = url.parse(window.location.href).query;
+    var queries = querystring.parse(query);
+
+    // Take the anonymous ID from an `ajs_aid` parameter in the URL, and tidy
+    // up the URL before any providers see it, if we've been asked to.
+    if (queries.ajs_aid) this.anonymousId(queries.ajs_aid);
+    if (this.options.stripUrlParameters) stripParameters();
+
+    // Restore the user and group identified on a previous page load.
+    if (this.options.persist) {
+      this.userId = this.storage.get('ajs_user_id');
+      this.traits = this.storage.get('ajs_user_traits') || {};
+      this.groupId = this.storage.get('ajs_group_id');
+      this.groupTraits = this.storage.get('ajs_group_traits') || {};
+    }
+
+    // Pick up any UTM campaign parameters in the URL, and save them as the
+    // visitor's first-touch (unless they already have one) and last-touch
+    // campaign traits. Otherwise, use the last campaign we saw. Campaigns are
+    // never mixed: a new one replaces every last-touch trait of the old one.
+    var campaign = utils.campaign(queries);
+    if (campaign) {
+      this.storage.set('ajs_campaign', campaign);
+      var traits = {}, firstTouch = true;
+      each(this.traits, function (key, value) {
+        if (key.indexOf('firstUtm') === 0) firstTouch = false;
+        if (key.indexOf('lastUtm') !== 0) traits[key] = value;
+      });
+      this.traits = extend(
+        traits,
+        firstTouch ? utils.campaignTraits(campaign, 'first') : {},
+        utils.campaignTraits(campaign, 'last')
+      );
+      if (this.options.persist) this.storage.set('ajs_user_traits', this.traits);
+    }
+    this.campaign = campaign || this.storage.get('ajs_campaign');
+
+    // Restore super properties from a previous page load, keeping any that
+    // were registered before we were initialized.
+    if (this.options.persistSuperProperties) {
+      this.superProperties = extend({}, this.storage.get('ajs_super_properties'), this.superProperties);
+      this.storage.set('ajs_super_properties', this.superProperties);
+    }
+
+    // Hold back any providers whose consent category hasn't been granted, or
+    // all of them if the visitor opted out, so that they're only loaded once
+    // they can be.
+    var granted = {};
+    each(providers, function (key, settings) {
+      var Provider = self.initializableProviders[key];
+      if (!Provider) throw new Error('Could not find a provider named "'+key+'"');
+
+      if (self.canLoad(key, settings)) {
+        granted[key] = settings;
+      } else {
+        log('holding back ' + key);
+        self.pendingProviders[key] = settings;
+      }
+    });
 
     // Create a ready method that will run after all of our providers have been
-    // initialized and loaded. We'll pass the function into each provider's
-    // initialize method, so they can callback when they've loaded successfully.
-    var ready = after(size(providers), function () {
+    // initialized and loaded, or failed to. We'll pass the function into each
+    // provider's initialize method, so they can callback when they're done.
+    // It also waits for us to finish initializing, so that callbacks never
+    // run before the `initialize` event, even without any providers to wait
+    // for. Providers that still haven't after `readyTimeout` are marked as
+    // timed out, and don't hold up the callbacks any longer. Only the latest
+    // call to `initialize` gets to call them.
+    var finished = false;
+    var finish = this.finishReady = function () {
+      if (finished || self.finishReady !== finish) return;
+      finished = true;
+      self.isReady = true;
+      clearTimeout(self.readyTimer);
+
       // Take each callback off the queue and call it.
-      var callback;
+      var summary = self.readySummary()
+        , callback;
       while(callback = self.readyCallbacks.shift()) {
-        callback();
+        callback(summary);
       }
-    });
+      self.emit('ready', summary);
+    };
+
+    var ready = after(size(granted) + 1, finish);
+
+    if (!finished && type(this.options.readyTimeout) === 'number') {
+      this.readyTimer = setTimeout(function () {
+        each(self.providerStates, function (key, state) {
+          if (state !== 'loading') return;
+          debug('analytics:' + key)('timed out after ' + self.options.readyTimeout + 'ms');
+          self.providerStates[key] = 'timed out';
+        });
+        finish();
+      }, this.options.readyTimeout);
+    }
 
-    // Initialize a new instance of each provider with their `options`, and
-    // copy the provider into `this.providers`.
-    each(providers, function (key, options) {
-      var Provider = self.initializableProviders[key];
-      if (!Provider) throw new Error('Could not find a provider named "'+key+'"');
+    log('initialize', providers);
 
-      self.providers.push(new Provider(options, ready));
+    each(granted, function (key, settings) {
+      self.initializeProvider(key, settings, ready);
     });
 
-    // Identify/track any `ajs_uid` and `ajs_event` parameters in the URL.
-    var query = url.parse(window.location.href).query;
-    var queries = querystring.parse(query);
-    if (queries.ajs_uid) this.identify(queries.ajs_uid);
-    if (queries.ajs_event) this.track(queries.ajs_event);
-
     // Update the initialized state that other methods rely on.
     this.initialized = true;
+    this.emit('initialize', providers, this.options);
+    setTimeout(ready, 0);
+
+    // Send the restored identity and group along to all of our new providers.
+    if (this.userId || size(this.traits)) {
+      this.identify(this.userId, size(this.traits) ? clone(this.traits) : null);
+    }
+    if (this.groupId) {
+      this.group(this.groupId, size(this.groupTraits) ? clone(this.groupTraits) : null);
+    }
+
+    // Only check calls against the tracking plan from here on, since the
+    // restored user and group were already checked when they were first sent.
+    if (this.options.plan) this.plan = new Plan(this.options.plan);
+
+    // Replay any calls that were made before we were initialized, in the
+    // order they were made. A call can throw, like when it breaks a strict
+    // tracking plan, so we hold on to the first error and throw it once
+    // we've finished initializing instead of leaving the rest undone.
+    var call, error;
+    var attempt = function (method, args) {
+      try {
+        self[method].apply(self, args);
+      } catch (e) {
+        log('error replaying %s', method, e);
+        error || (error = e);
+      }
+    };
+    while (call = this.queue.shift()) attempt(call.method, call.args);
+
+    // Identify/track any `ajs_uid` and `ajs_event` parameters in the URL,
+    // along with any `ajs_trait_` and `ajs_prop_` parameters, like:
+    //
+    //     ?ajs_uid=123&ajs_trait_plan=Pro&ajs_event=Clicked%20Email&ajs_prop_campaign=spring
+    //
+    var traits     = parameters(queries, 'ajs_trait_')
+      , properties = parameters(queries, 'ajs_prop_');
+    if (queries.ajs_uid || traits) attempt('identify', [queries.ajs_uid || null, traits]);
+    if (queries.ajs_event) attempt('track', [queries.ajs_event, properties]);
+
+    // Start calling `page` as the URL changes, if we've been asked to.
+    if (this.options.autoPageview) this.watchHistory();
+
+    if (error) throw error;
+  },
+
+
+  // Initialize a new instance of the provider named `key` with its
+  // `settings`, and copy it into `this.providers`. It gets its own ready
+  // method, so that we can let listeners know when it loads, which it can
+  // pass an error to if it couldn't. A provider that throws while
+  // initializing is left out, but either way a provider that fails still
+  // counts as done so that it can't hold up everyone else's `ready`.
+  initializeProvider : function (key, settings, ready) {
+    var self     = this
+      , Provider = this.initializableProviders[key]
+      , states   = this.providerStates
+      , loaded   = false
+      , start    = new Date()
+      , provider;
+
+    var fail = function (e) {
+      debug('analytics:' + key)('failed to initialize', e);
+      states[key] = 'failed';
+      self.emit('error', e, key, 'initialize');
+    };
+
+    states[key] = 'loading';
+
+    try {
+      provider = new Provider(settings, function (err) {
+        if (loaded) return;
+        loaded = true;
+        // A provider can also fail while it replays the calls it queued up,
+        // just before it tells us that it's ready.
+        if (err instanceof Error) {
+          fail(err);
+        } else if (states[key] !== 'failed') {
+          debug('analytics:' + key)('ready in ' + (new Date() - start) + 'ms');
+          states[key] = 'ready';
+          self.emit('providerReady', key);
+        }
+        ready();
+      });
+      // Hold the provider to our own queue size, and report any errors from
+      // the calls it replays once it's ready like we do for every other call.
+      provider.queueSize = this.queueSize;
+      provider.failed = function (e, method) {
+        self.providerFailed(provider, method, e);
+      };
+      this.providers.push(provider);
+    } catch (e) {
+      fail(e);
+      if (!loaded) {
+        loaded = true;
+        ready();
+      }
+    }
+
+    return provider;
+  },
+
+
+  // Get whether each provider is `'loading'`, `'ready'`, `'failed'` to load
+  // or initialize, or `'timed out'` after `readyTimeout`, keyed by provider
+  // name. Providers that time out can still finish loading later on:
+  //
+  //     analytics.providerStatus();
+  //     // { 'Google Analytics' : 'ready', 'LiveChat' : 'timed out' }
+  //
+  providerStatus : function () {
+    return extend({}, this.providerStates);
+  },
+
+
+  // Sum up which providers are ready and which aren't, to pass along to the
+  // `ready` callbacks, like:
+  //
+  //     {
+  //       ready    : ['Google Analytics'],
+  //       loading  : [],
+  //       failed   : ['Olark'],
+  //       timedOut : ['LiveChat']
+  //     }
+  //
+  readySummary : function () {
+    var summary = { ready : [], loading : [], failed : [], timedOut : [] };
+    each(this.providerStates, function (key, state) {
+      summary[state === 'timed out' ? 'timedOut' : state].push(key);
+    });
+    return summary;
+  },
+
+
+  // Consent
+  // -------
+  // Record which categories of providers the visitor has consented to, for
+  // complying with privacy laws like the GDPR. Providers are grouped into
+  // `'analytics'`, `'marketing'`, `'support'` and `'errors'` categories.
+  // With the `requireConsent` option, providers aren't loaded until their
+  // category is granted, which can happen at any point:
+  //
+  //     analytics.consent({ analytics : true, marketing : false });
+  //
+  // Until a category is granted, and after any is revoked, everything about
+  // the visitor is only kept in memory. Revoking a category also stops calls
+  // to its providers, and clears everything analytics.js has stored.
+  //
+  // * `categories` (optional) is a dictionary of categories to whether
+  // they're granted. Returns the consent so far.
+  consent : function (categories) {
+    if (!categories) return clone(this.consented);
+
+    var self    = this
+      , revoked = false;
+
+    each(categories, function (category, granted) {
+      if (granted === false && self.hasConsent(category)) revoked = true;
+    });
+
+    this.consented = extend({}, this.consented, categories);
+
+    if (revoked) {
+      this.holdBackProviders();
+      this.clearStorage();
+    }
+
+    this.cookies.set('ajs_consent', this.consented);
+    this.updateStorage();
+    this.loadPendingProviders();
+
+    this.emit('consent', clone(this.consented));
+    return clone(this.consented);
+  },
+
+
+  // Whether the visitor has consented to providers in `category`. Until
+  // they've said either way, that depends on the `requireConsent` option.
+  hasConsent : function (category) {
+    var granted = this.consented[category];
+    return type(granted) === 'boolean' ? granted : !this.options.requireConsent;
+  },
+
+
+  // Opt Out
+  // -------
+  // Turn analytics.js off for a visitor who asks, for example from a privacy
+  // page. Opting out is remembered in a cookie, and until the visitor opts
+  // back in providers aren't loaded, every call is ignored, and nothing
+  // about the visitor is stored. Emits an `optOut` event, so that you can
+  // show them a confirmation.
+  optOut : function () {
+    this.clearStorage();
+    this.cookies.set('ajs_opt_out', true);
+    this.updateStorage();
+    this.holdBackProviders();
+    log('opted out');
+    this.emit('optOut');
+  },
+
+
+  // Opt back in after opting out, or after being opted out by the browser's
+  // Do Not Track setting. Loads any providers that were held back, and emits
+  // an `optIn` event.
+  optIn : function () {
+    this.cookies.set('ajs_opt_out', false);
+    this.updateStorage();
+    log('opted in');
+    this.loadPendingProviders();
+    this.emit('optIn');
+  },
+
+
+  // Whether the visitor has opted out, either with `optOut` or with Do Not
+  // Track when the `respectDoNotTrack` option is on. Opting in overrides Do
+  // Not Track.
+  isOptedOut : function () {
+    var optedOut = this.cookies.get('ajs_opt_out');
+    if (type(optedOut) === 'boolean') return optedOut;
+    return !!this.options.respectDoNotTrack && utils.doNotTrack();
+  },
+
+
+  // Whether we can store anything about the visitor beyond this page, which
+  // needs them to not have opted out, to have granted a category if consent
+  // is required, and to not have revoked any.
+  canStore : function () {
+    var granted = !this.options.requireConsent
+      , revoked = false;
+    each(this.consented, function (category, consent) {
+      if (consent) granted = true;
+      else revoked = true;
+    });
+    return !this.isOptedOut() && granted && !revoked;
+  },
+
+
+  // Switch between our configured storage and memory storage as `canStore`
+  // changes. What was kept in memory is carried over once we can store it.
+  updateStorage : function () {
+    var memory = this.storage.options.type === 'memory';
+    if (this.canStore() !== memory) return;
+
+    var previous = this.storage;
+    this.storage = new Storage(memory ? storageOptions(this.options) : 'memory');
+    if (!memory) return;
+
+    var self = this;
+    each(storageKeys, function (key) {
+      var value = previous.get(key);
+      if (value !== null) self.storage.set(key, value);
+    });
+  },
+
+
+  // Whether the provider named `key` can be loaded with its `settings` right
+  // now, given the visitor's consent and whether they've opted out.
+  canLoad : function (key, settings) {
+    var Provider = this.initializableProviders[key];
+    return !this.isOptedOut() && this.hasConsent(categoryOf(Provider.prototype, settings));
+  },
+
+
+  // Stop calling any providers that can't be loaded anymore, holding them
+  // back until they can be again.
+  holdBackProviders : function () {
+    var self      = this
+      , providers = [];
+
+    each(this.providers, function (provider) {
+      if (self.canLoad(provider.name, provider.options)) {
+        providers.push(provider);
+      } else {
+        log('stopped calling ' + provider.name);
+        self.pendingProviders[provider.name] = provider.options;
+        self.heldProviders[provider.name] = provider;
+      }
+    });
+
+    this.providers = providers;
+    this.consentQueue = [];
+  },
+
+
+  // Load any providers that were held back but can be loaded now, and send
+  // them the calls they missed. Providers that were already initialized
+  // before they were held back are called again as they were, instead of
+  // being loaded twice, but don't get the calls made while their consent was
+  // revoked. Once the new ones have loaded, or failed to, we emit `ready`
+  // again with a new summary.
+  loadPendingProviders : function () {
+    if (!this.initialized) return;
+
+    var self   = this
+      , loaded = []
+      , load   = {};
+
+    each(this.pendingProviders, function (key, settings) {
+      if (!self.canLoad(key, settings)) return;
+
+      delete self.pendingProviders[key];
+      var provider = self.heldProviders[key];
+      if (provider) {
+        delete self.heldProviders[key];
+        log('resumed calling ' + key);
+        self.providers.push(provider);
+      } else {
+        load[key] = settings;
+      }
+    });
+
+    if (size(load)) {
+      var ready = after(size(load), function () {
+        self.emit('ready', self.readySummary());
+      });
+      each(load, function (key, settings) {
+        var provider = self.initializeProvider(key, settings, ready);
+        if (provider) loaded.push(provider);
+      });
+    }
+
+    each(this.consentQueue, function (message) {
+      self.invoke(self.prepare(message, loaded));
+    });
+    if (!this.awaitingConsent()) this.consentQueue = [];
+  },
+
+
+  // Whether any providers are waiting for consent they've never had, which
+  // are the only ones we queue calls up for.
+  awaitingConsent : function () {
+    var self     = this
+      , awaiting = false;
+    each(this.pendingProviders, function (key) {
+      if (!self.heldProviders[key]) awaiting = true;
+    });
+    return awaiting;
+  },
+
+
+  // Remove everything analytics.js has stored about the visitor, and forget
+  // who they are.
+  clearStorage : function () {
+    var self = this;
+    each(storageKeys, function (key) {
+      self.storage.remove(key);
+    });
+
+    this.userId = null;
+    this.traits = {};
+    this.groupId = null;
+    this.groupTraits = {};
+    this.campaign = null;
+  },
+
+
+  // Anonymous ID
+  // ------------
+  // Every visitor gets a random anonymous ID the first time they're seen,
+  // which is stored so that it stays the same across page loads. It's
+  // passed to providers in `context.anonymousId`, and linked to the real
+  // `userId` the first time the visitor is identified.
+  //
+  // * `anonymousId` (optional) overrides the stored anonymous ID.
+  anonymousId : function (anonymousId) {
+    if (anonymousId) {
+      this.storage.set('ajs_anonymous_id', anonymousId);
+      return anonymousId;
+    }
+
+    anonymousId = this.storage.get('ajs_anonymous_id');
+    if (!anonymousId) {
+      anonymousId = utils.uuid();
+      this.storage.set('ajs_anonymous_id', anonymousId);
+    }
+    return anonymousId;
+  },
+
+
+  // Sessions
+  // --------
+  // A session is a visitor's run of activity, which ends once they've been
+  // inactive for `sessionTimeout` milliseconds. Every call counts as
+  // activity, and carries the session's ID in `context.sessionId`, so that
+  // providers can agree on what a session is. The session is stored, so it
+  // carries on across page loads.
+  //
+  // With the `trackSessions` option, a `'Session Started'` event is tracked
+  // before the first call of each session. Since we can only tell that a
+  // session ended once the visitor comes back, a `'Session Ended'` event is
+  // tracked then too, with the session's `duration` in seconds.
+  sessionId : function () {
+    var now     = new Date().getTime()
+      , session = this.storage.get('ajs_session')
+      , ended   = null;
+
+    if (session && now - session.last > this.options.sessionTimeout) {
+      ended = session;
+      session = null;
+    }
+
+    var started = !session;
+    if (started) session = { id : utils.uuid(), start : now };
+    session.last = now;
+    this.storage.set('ajs_session', session);
+
+    if (ended) log('session ' + ended.id + ' ended');
+    if (started) log('session ' + session.id + ' started');
+
+    if (this.options.trackSessions && !this.trackingSession) {
+      this.trackingSession = true;
+      try {
+        if (ended) {
+          this.track('Session Ended', {
+            sessionId : ended.id,
+            duration  : Math.round((ended.last - ended.start) / 1000)
+          }, { sessionId : ended.id });
+        }
+        if (started) this.track('Session Started', { sessionId : session.id });
+      } finally {
+        this.trackingSession = false;
+      }
+    }
+
+    return session.id;
+  },
+
+
+  // Context
+  // -------
+  // Build the `context` that gets sent along with every call, filling in
+  // what we know about the visitor and the page they're on:
+  //
+  // * `anonymousId` is the visitor's anonymous ID.
+  // * `sessionId` is the ID of the visitor's current session.
+  // * `page` is a dictionary of the page's `url`, `path`, `title`,
+  // `referrer` and `search`, using the canonical URL if there is one.
+  // * `campaign` is a dictionary of the `source`, `medium`, `name`, `term`
+  // and `content` from the last UTM parameters the visitor arrived with.
+  // * `groupId` is the ID of the group the user was last grouped into.
+  //
+  // Anything passed in `context` overrides what we fill in, including
+  // individual keys of `page` and `campaign`.
+  buildContext : function (context) {
+    context = extend({ anonymousId : this.anonymousId() }, context);
+    if (!context.sessionId) context.sessionId = this.sessionId();
+    context.page = extend(utils.pageContext(), context.page);
+    if (this.campaign) context.campaign = extend({}, this.campaign, context.campaign);
+    if (this.groupId && !context.groupId) context.groupId = this.groupId;
+    return context;
+  },
+
+
+  // Middleware
+  // ----------
+  // Middleware lets you transform, enrich or drop calls before any provider
+  // sees them. Each middleware function is passed a message, like:
+  //
+  //     {
+  //         type       : 'track',
+  //         userId     : '4d3ed089fb60ab534684b7e0',
+  //         event      : 'Added a Friend',
+  //         properties : { level : 'hard' },
+  //         context    : { anonymousId : '...' }
+  //     }
+  //
+  // Identifies and groups carry `traits` instead of `event` and `properties`,
+  // pages carry a `category` and `name` along with their `properties`, and
+  // aliases carry a `newId` and `originalId`. Middleware
+  // can change the message in place or return a new one, or return `false`
+  // to drop the call entirely:
+  //
+  //     analytics.use(function (message) {
+  //         if (message.traits) delete message.traits.ssn;
+  //     });
+  //
+  // * `provider` (optional) is the name of a provider, to only run the
+  // middleware for that provider. Provider middleware runs after all of the
+  // global middleware, on a copy of the message just for that provider.
+  //
+  // * `fn` is the middleware function.
+  use : function (provider, fn) {
+    if (type(provider) === 'function') {
+      this.middleware.push(provider);
+    } else {
+      this.providerMiddleware[provider] || (this.providerMiddleware[provider] = []);
+      this.providerMiddleware[provider].push(fn);
+    }
+  },
+
+
+  // Debug
+  // -----
+  // Debug mode logs every call, which providers it was sent to or skipped
+  // for, the arguments each provider was called with, and how long their
+  // scripts took to load. It's remembered across page loads, and can also be
+  // turned on with an `ajs_debug` parameter in the URL.
+  //
+  //     analytics.debug(true);
+  //     analytics.debug('analytics:Mixpanel,analytics:Google Analytics');
+  //     analytics.debug(false);
+  //
+  // * `namespaces` is either `true` to log everything, `false` to turn debug
+  // mode off, or a comma-separated list of namespaces to log. Analytics.js
+  // logs under `'analytics'`, and each provider under `'analytics:'`
+  // followed by its name. Namespaces can use `*` as a wildcard.
+  //
+  // * `logger` (optional) is a function to pass each log to as well as the
+  // console, which is called with the `namespace`, `message` and `data`.
+  debug : function (namespaces, logger) {
+    if (type(logger) === 'function') debug.logger = logger;
+
+    var storage = new Storage('localStorage');
+
+    if (namespaces) {
+      debug.enable(namespaces);
+      storage.set('ajs_debug', namespaces);
+    } else {
+      debug.disable();
+      storage.remove('ajs_debug');
+    }
+  },
+
+
+  // Dispatch
+  // --------
+  // Run a `message` through the global middleware, and then call its method
+  // on every enabled provider that supports it, with a copy of the message
+  // that has been through that provider's middleware. Returns the message,
+  // or `false` if the global middleware dropped it.
+  //
+  // * `callback` (optional) is called once every provider that received the
+  // message has confirmed it was sent, or after `this.timeout` at the most.
+  dispatch : function (message, callback) {
+    message = this.filter(message);
+    if (!message) {
+      if (type(callback) === 'function') this.confirm([], callback);
+      return false;
+    }
+
+    return this.send(message, callback);
+  },
+
+
+  // The first half of `dispatch`, which runs a `message` through the global
+  // middleware. Returns the resulting message, or `false` if it was dropped
+  // or the visitor opted out. Identifies and groups call this before they
+  // store anything, so that what they store has been through middleware too.
+  filter : function (message) {
+    // Calls are ignored for visitors who opted out.
+    if (this.isOptedOut()) {
+      log('ignored ' + message.type + ', since the visitor opted out');
+      return false;
+    }
+
+    log(message.type, message);
+
+    // Work on a copy, so that middleware never changes the objects that were
+    // passed in to us.
+    var result = runMiddleware(this.middleware, clone(message));
+    if (!result) log('dropped ' + message.type + ' in middleware');
+    return result;
+  },
+
+
+  // The second half of `dispatch`, which sends a `message` that's been
+  // through the global middleware along to every provider. Returns the
+  // message.
+  send : function (message, callback) {
+    var calls = this.prepare(message, this.providers);
+
+    // Hold on to the message for any providers waiting for consent.
+    if (this.awaitingConsent() && this.options.queueUntilConsent) {
+      if (this.consentQueue.length < this.queueSize) this.consentQueue.push(message);
+    }
+
+    if (type(callback) === 'function') this.confirm(calls, callback);
+
+    this.invoke(calls);
+
+    return message;
+  },
+
+
+  // Work out the call each of `providers` should get for a `message`, leaving
+  // out the ones that don't support it, are turned off for it, or are
+  // degraded.
+  prepare : function (message, providers) {
+    var self  = this
+      , calls = [];
+
+    each(providers, function (provider) {
+      var providerLog = debug('analytics:' + provider.name);
+
+      // Providers written before `page` existed only have `pageview`.
+      var method = message.type;
+      if (method === 'page' && !provider.page) method = 'pageview';
+
+      if (!provider[method]) return;
+      if (provider.degraded) return providerLog('skipped ' + method + ', since it is degraded');
+      if (!utils.isEnabled(provider, message.context)) {
+        return providerLog('skipped ' + method + ', since it is disabled in context.providers');
+      }
+
+      // Providers can also be limited to certain events, and track them
+      // under their own names, with their `events` option.
+      var copy = clone(message);
+      if (method === 'track') {
+        if (!utils.isEventEnabled(provider, copy.event)) {
+          return providerLog('skipped track "' + copy.event + '", since it is filtered out by options.events');
+        }
+        copy.event = utils.renameEvent(provider, copy.event);
+      }
+
+      // Providers with a `sampleRate` only get a sample of visitors or
+      // events, and are told what the sample was in `context.sample`.
+      if (!utils.isSampled(provider, copy)) {
+        return providerLog('skipped ' + method + ', since it was sampled out');
+      }
+      if (type(provider.options.sampleRate) === 'number') {
+        copy.context.sample = {
+          rate : provider.options.sampleRate,
+          by   : provider.options.sampleBy === 'event' ? 'event' : 'visitor'
+        };
+      }
+
+      copy = runMiddleware(self.providerMiddleware[provider.name], copy);
+      if (!copy) return providerLog('dropped ' + method + ' in middleware');
+
+      calls.push({
+        provider : provider,
+        method   : method,
+        args     : toArguments(method, copy)
+      });
+    });
+
+    return calls;
+  },
+
+
+  // Make each of the `calls` to its provider. A provider that throws is
+  // marked as `degraded` and skipped from then on, and the error is emitted
+  // as an `'error'` event along with the provider's name and the method that
+  // failed, instead of breaking the page.
+  invoke : function (calls) {
+    var self = this;
+
+    each(calls, function (call) {
+      debug('analytics:' + call.provider.name)('called ' + call.method, call.args);
+
+      try {
+        call.provider.invoke(call.method, call.args);
+      } catch (e) {
+        self.providerFailed(call.provider, call.method, e);
+      }
+    });
+  },
+
+
+  // Stop calling a `provider` that threw an error `e` from `method`, mark it
+  // as `'failed'` in `providerStatus`, and emit the error.
+  providerFailed : function (provider, method, e) {
+    debug('analytics:' + provider.name)('failed to ' + method, e);
+    provider.degraded = true;
+    this.providerStates[provider.name] = 'failed';
+    this.emit('error', e, provider.name, method);
+  },
+
+
+  // Tracking Plan
+  // -------------
+  // Check a call to `method` with `args` against the tracking plan, if one
+  // was passed to `initialize`. Violations are emitted as a `violation`
+  // event, and then depending on the plan's `mode` the call is either still
+  // sent, dropped, or an error is thrown. Returns whether to send the call.
+  // The `'Session Started'` and `'Session Ended'` events we track ourselves
+  // aren't checked, since they aren't yours to plan.
+  followsPlan : function (method, args) {
+    if (!this.plan || this.trackingSession) return true;
+
+    var violations = this.plan[method].apply(this.plan, args);
+    if (!violations.length) return true;
+
+    log(method + ' violated the tracking plan', violations);
+    this.emit('violation', violations);
+
+    var mode = this.plan.options.mode;
+    if (mode === 'strict') {
+      var messages = [];
+      each(violations, function (violation) { messages.push(violation.message); });
+      throw new Error('Tracking plan violated: ' + messages.join(', '));
+    }
+    return mode !== 'drop';
+  },
+
+
+  // Confirm
+  // -------
+  // Providers that list a method in their `callbacks` are passed one more
+  // argument for it, a function to call once the request has been sent. Call
+  // `callback` as soon as all of the `calls` have been confirmed, or after
+  // `this.timeout` if any of them can't be, since those might still be on
+  // their way out. If nothing is being sent at all, don't wait.
+  confirm : function (calls, callback) {
+    var pending  = calls.length
+      , finished = false
+      , timer;
+
+    function finish () {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      callback();
+    }
+
+    timer = setTimeout(finish, pending ? this.timeout : 0);
+
+    each(calls, function (call) {
+      if (indexOf(call.provider.callbacks || [], call.method) === -1) return;
+
+      var confirmed = false;
+      call.args.push(function () {
+        if (confirmed) return;
+        confirmed = true;
+        if (--pending === 0) finish();
+      });
+    });
+  },
+
+
+  // Enqueue
+  // -------
+  // Store a call to `method` that was made before initialize, so that it can
+  // be replayed once we have providers to send it to. Calls past the
+  // `queueSize` limit are dropped.
+  enqueue : function (method, args) {
+    if (this.queue.length >= this.queueSize) return log('dropped ' + method + ', since the queue is full');
+
+    log('queued ' + method + ' until initialize');
+
+    this.queue.push({
+      method : method,
+      args   : Array.prototype.slice.call(args)
+    });
   },
 
 
   // Ready
   // -----
   // Ready lets you pass in a callback that will get called when your
-  // analytics services have been initialized. It's like jQuery's `ready`
-  // expect for analytics instead of the DOM.
+  // analytics services have loaded, failed to, or timed out after being
+  // initialized. It's like jQuery's `ready`
+  // expect for analytics instead of the DOM. The callback is passed a
+  // summary of which providers are ready, and which failed or timed out
+  // (see `readySummary`), so that you can tell when one didn't load:
+  //
+  //     analytics.ready(function (summary) {
+  //         if (summary.failed.length) console.log('Failed to load', summary.failed);
+  //     });
+  //
   ready : function (callback) {
     if (type(callback) !== 'function') return;
 
-    // If we're already initialized, do it right away. Otherwise, add it to the
-    // queue for when we do get initialized.
-    if (this.initialized) {
-      callback();
+    // If our providers are already ready, do it right away. Otherwise, add it
+    // to the queue for when they are.
+    if (this.isReady) {
+      callback(this.readySummary());
     } else {
       this.readyCallbacks.push(callback);
     }
@@ -169,11 +1223,13 @@ extend(Analytics.prototype, {
   // information to the providers about this identify.
   //  * `providers` {optional}: a dictionary of provider names to a
   //  boolean specifying whether that provider will receive this identify.
+  //  * `anonymousId`, `page` and `campaign` are added for you, see
+  //  `buildContext`.
   //
-  // * `callback` (optional) is a function to call after the a small
-  // timeout to give the identify requests a chance to be sent.
+  // * `callback` (optional) is a function to call once the identify requests
+  // have been sent, or after a small timeout at the most.
   identify : function (userId, traits, context, callback) {
-    if (!this.initialized) return;
+    if (!this.initialized) return this.enqueue('identify', arguments);
 
     // Allow for not passing context, but passing a callback.
     if (type(context) === 'function') {
@@ -195,21 +1251,137 @@ extend(Analytics.prototype, {
       userId = null;
     }
 
-    // Cache the `userId`, or use saved one.
-    if (userId !== null)
-      this.userId = userId;
-    else
-      userId = this.userId;
+    if (!this.followsPlan('identify', [traits])) {
+      if (type(callback) === 'function') this.confirm([], callback);
+      return;
+    }
 
-    // Call `identify` on all of our enabled providers that support it.
-    each(this.providers, function (provider) {
-      if (provider.identify && utils.isEnabled(provider, context))
-        provider.identify(userId, clone(traits), clone(context));
+    // Run the call through middleware before we store anything, so that
+    // traits it scrubs aren't saved, and a call it drops leaves no trace.
+    var message = this.filter({
+      type    : 'identify',
+      userId  : userId !== null ? userId : this.userId,
+      traits  : traits,
+      context : this.buildContext(context)
     });
+    if (!message) {
+      if (type(callback) === 'function') this.confirm([], callback);
+      return;
+    }
+    userId = message.userId;
+
+    // Identifying a different user means the traits we have cached belong
+    // to someone else.
+    if (userId && this.userId && userId !== this.userId) this.traits = {};
+
+    // The first time a visitor is identified, link their anonymous history
+    // to their new `userId`. Each provider aliases its own anonymous ID, and
+    // we remember that we did so that it only happens once per visitor, even
+    // when we don't `persist` the `userId`. Providers that already link it
+    // on `identify` are left out.
+    if (userId && !this.userId && !this.storage.get('ajs_aliased')) {
+      var skip = {};
+      each(this.providers, function (provider) {
+        if (provider.aliasesOnIdentify) skip[provider.name] = false;
+      });
+      this.storage.set('ajs_aliased', true);
+      this.alias(userId, { providers : skip });
+    }
 
-    if (callback && type(callback) === 'function') {
-      setTimeout(callback, this.timeout);
+    // Cache the `userId`, and merge the new `traits` into the ones we already
+    // know about, and save the user for future page loads.
+    this.userId = userId || null;
+    this.traits = extend({}, this.traits, message.traits);
+    if (this.options.persist) {
+      this.storage.set('ajs_user_id', this.userId);
+      this.storage.set('ajs_user_traits', this.traits);
     }
+
+    // Call `identify` on all of our enabled providers that support it.
+    this.send(message, callback);
+    this.emit('identify', message.userId, message.traits, message.context);
+  },
+
+
+  // Group
+  // -----
+  // Grouping a user ties them to an account, company or organization that
+  // you recognize, and records traits about that group. An example group:
+  //
+  //     analytics.group('5107ae5d4f5ee4b1e200001f', {
+  //         name     : 'Segment.io',
+  //         plan     : 'Enterprise',
+  //         industry : 'Analytics'
+  //     });
+  //
+  // The `groupId` is remembered, and sent along with every call in
+  // `context.groupId`.
+  //
+  // * `groupId` (optional) is the ID you know the group by. It defaults to
+  // the group the user was last grouped into.
+  //
+  // * `traits` (optional) is a dictionary of traits about the group, like
+  // its `name`, `plan` or `employees`.
+  //
+  // * `context` (optional) is a dictionary of options that provide more
+  // information to the providers about this group, and take the same
+  // options as `identify`.
+  //
+  // * `callback` (optional) is a function to call once the group requests
+  // have been sent, or after a small timeout at the most.
+  group : function (groupId, traits, context, callback) {
+    if (!this.initialized) return this.enqueue('group', arguments);
+
+    // Allow for not passing context, but passing a callback.
+    if (type(context) === 'function') {
+      callback = context;
+      context = null;
+    }
+
+    // Allow for not passing traits, but passing a callback.
+    if (type(traits) === 'function') {
+      callback = traits;
+      traits = null;
+    }
+
+    // Allow for passing just traits, to add to the current group.
+    if (type(groupId) === 'object') {
+      if (traits && type(traits) === 'function') callback = traits;
+      traits = groupId;
+      groupId = null;
+    }
+
+    // Run the call through middleware before we store anything, like we do
+    // for `identify`.
+    var message = this.filter({
+      type    : 'group',
+      userId  : this.userId,
+      groupId : groupId || this.groupId,
+      traits  : traits,
+      context : this.buildContext(context)
+    });
+    if (!message) {
+      if (type(callback) === 'function') this.confirm([], callback);
+      return;
+    }
+    groupId = message.groupId;
+
+    // Grouping into a different group means the traits we have cached belong
+    // to another group.
+    if (groupId && this.groupId && groupId !== this.groupId) this.groupTraits = {};
+
+    // Cache the `groupId`, and merge the new `traits` into the ones we
+    // already know about, and save the group for future page loads.
+    this.groupId = groupId || null;
+    this.groupTraits = extend({}, this.groupTraits, message.traits);
+    if (this.options.persist) {
+      this.storage.set('ajs_group_id', this.groupId);
+      this.storage.set('ajs_group_traits', this.groupTraits);
+    }
+
+    // Call `group` on all of our enabled providers that support it.
+    this.send(message, callback);
+    this.emit('group', message.groupId, message.traits, message.context);
   },
 
 
@@ -235,11 +1407,13 @@ extend(Analytics.prototype, {
   // information to the providers about this track.
   //  * `providers` {optional}: a dictionary of provider names to a
   //  boolean specifying whether that provider will receive this track.
+  //  * `anonymousId`, `page` and `campaign` are added for you, see
+  //  `buildContext`.
   //
-  // * `callback` (optional) is a function to call after the a small
-  // timeout to give the track requests a chance to be sent.
+  // * `callback` (optional) is a function to call once the track requests
+  // have been sent, or after a small timeout at the most.
   track : function (event, properties, context, callback) {
-    if (!this.initialized) return;
+    if (!this.initialized) return this.enqueue('track', arguments);
 
     // Allow for not passing context, but passing a callback.
     if (type(context) === 'function') {
@@ -253,23 +1427,83 @@ extend(Analytics.prototype, {
       properties = null;
     }
 
-    // Call `track` on all of our enabled providers that support it.
-    each(this.providers, function (provider) {
-      if (provider.track && utils.isEnabled(provider, context))
-        provider.track(event, clone(properties), clone(context));
-    });
+    if (!this.followsPlan('track', [event, properties])) {
+      if (type(callback) === 'function') this.confirm([], callback);
+      return;
+    }
 
-    if (callback && type(callback) === 'function') {
-      setTimeout(callback, this.timeout);
+    // Add any super properties, letting the event's own properties win.
+    if (size(this.superProperties)) {
+      properties = extend({}, this.superProperties, properties);
     }
+
+    context = this.buildContext(context);
+
+    // Call `track` on all of our enabled providers that support it.
+    var message = this.dispatch({
+      type       : 'track',
+      userId     : this.userId,
+      event      : event,
+      properties : properties,
+      context    : context
+    }, callback);
+
+    if (message) this.emit('track', message.event, message.properties, message.context);
+  },
+
+
+  // Super Properties
+  // ----------------
+  // Super properties are added to the `properties` of every `track` call,
+  // for every provider. They're useful for things like a user's `plan` or
+  // the version of your app:
+  //
+  //     analytics.register({
+  //         plan       : 'Startup',
+  //         appVersion : '1.2.0'
+  //     });
+  //
+  // Properties passed to `track` itself take precedence over super
+  // properties with the same name. Like `track`, these calls are queued up
+  // until we're initialized, so that they apply on top of any super
+  // properties persisted from an earlier page.
+
+  // Register `properties` as super properties, overwriting any that are
+  // already registered.
+  register : function (properties) {
+    if (!this.initialized) return this.enqueue('register', arguments);
+    this.superProperties = extend({}, this.superProperties, properties);
+    this.saveSuperProperties();
+  },
+
+  // Register `properties` as super properties, but only the ones that
+  // aren't already registered. Handy for things like a first-seen date.
+  registerOnce : function (properties) {
+    if (!this.initialized) return this.enqueue('registerOnce', arguments);
+    this.superProperties = extend({}, properties, this.superProperties);
+    this.saveSuperProperties();
+  },
+
+  // Remove the super property named `key`.
+  unregister : function (key) {
+    if (!this.initialized) return this.enqueue('unregister', arguments);
+    this.superProperties = extend({}, this.superProperties);
+    delete this.superProperties[key];
+    this.saveSuperProperties();
+  },
+
+  // Persist super properties, if we've been told to.
+  saveSuperProperties : function () {
+    if (!this.options.persistSuperProperties) return;
+    this.storage.set('ajs_super_properties', this.superProperties);
   },
 
 
   // ### trackLink
   // A helper for tracking outbound links that would normally leave the
-  // page before the track calls went out. It works by wrapping the calls
-  // in as short of a timeout as possible to fire the track call, because
-  // [response times matter](http://theixdlibrary.com/pdf/Miller1968.pdf).
+  // page before the track calls went out. It works by waiting to navigate
+  // until the track call has been sent, or a short timeout at the most,
+  // because [response times matter](http://theixdlibrary.com/pdf/Miller1968.pdf).
   //
   // * `links` is either a single link DOM element, or an array of link
   // elements like jQuery gives you.
@@ -296,9 +1530,6 @@ extend(Analytics.prototype, {
         // link element that was clicked.
         if (type(properties) === 'function') properties = properties(el);
 
-        // Fire a normal track call.
-        self.track(event, properties);
-
         // To justify us preventing the default behavior we must:
         //
         // * Have an `href` to use.
@@ -318,11 +1549,23 @@ extend(Analytics.prototype, {
           else
               e.returnValue = false;
 
-          // Navigate to the url after a small timeout, giving the
-          // providers time to track the event.
-          setTimeout(function () {
+          // Navigate to the url once the providers have tracked the event,
+          // or after the timeout if nothing will tell us they have, like when
+          // the event is queued until we're initialized.
+          // A track call that throws, like for an unplanned event in strict
+          // mode, mustn't stop the link from working.
+          var navigate = once(function () {
               window.location.href = el.href;
-          }, self.timeout);
+          });
+          try {
+            self.track(event, properties, navigate);
+          } catch (err) {
+            log('error tracking link', err);
+          }
+          setTimeout(navigate, self.timeout);
+        } else {
+          // Fire a normal track call.
+          self.track(event, properties);
         }
       });
     });
@@ -333,7 +1576,8 @@ extend(Analytics.prototype, {
   // Similar to `trackClick`, this is a helper for tracking form
   // submissions that would normally leave the page before a track call
   // can be sent. It works by preventing the default submit, sending a
-  // track call, and then submitting the form programmatically.
+  // track call, and then submitting the form programmatically once it has
+  // been sent.
   //
   // * `forms` is either a single form DOM element, or an array of
   // form elements like jQuery gives you.
@@ -358,9 +1602,6 @@ extend(Analytics.prototype, {
         // form element that was submitted.
         if (type(properties) === 'function') properties = properties(el);
 
-        // Fire a normal track call.
-        self.track(event, properties);
-
         // Prevent the form's default submit in all the sane
         // browsers, and also IE.
         if (e.preventDefault)
@@ -368,37 +1609,197 @@ extend(Analytics.prototype, {
         else
           e.returnValue = false;
 
-        // Submit the form after a small timeout, giving the event
-        // time to get fired.
-        setTimeout(function () {
+        // Submit the form once the providers have tracked the event, or
+        // after the timeout, the same way **trackLink** navigates.
+        var submit = once(function () {
           el.submit();
-        }, self.timeout);
+        });
+        try {
+          self.track(event, properties, submit);
+        } catch (err) {
+          log('error tracking form', err);
+        }
+        setTimeout(submit, self.timeout);
       });
     });
   },
 
 
-  // Pageview
-  // --------
+  // Page
+  // ----
   // For single-page applications where real page loads don't happen, the
-  // **pageview** method simulates a page loading event for all providers
-  // that track pageviews and support it. This is the equivalent of
-  // calling `_gaq.push(['trackPageview'])` in Google Analytics.
+  // **page** method simulates a page loading event for all providers that
+  // track pageviews and support it. This is the equivalent of calling
+  // `_gaq.push(['_trackPageview'])` in Google Analytics. An example page:
+  //
+  //     analytics.page('Docs', 'Quickstart', {
+  //         path : '/docs/quickstart'
+  //     });
+  //
+  // * `category` (optional) is the section of your app the page is in, like
+  // `'Docs'` or `'Settings'`.
   //
-  // **pageview** is _not_ for sending events about which pages in your
-  // app the user has loaded. For that, use a regular track call like:
-  // `analytics.track('View Signup Page')`. Or, if you think you've come
-  // up with a badass abstraction, submit a pull request!
+  // * `name` (optional) is the name of the page, like `'Quickstart'`. If you
+  // only pass one string, it's used as the `name`.
+  //
+  // * `properties` (optional) is a dictionary of properties of the page.
+  // You only need to pass a `path`, `url` or `title` if they differ from
+  // the real page's, which providers read from `context.page` otherwise.
+  //
+  // * `context` (optional) is a dictionary of options that provide more
+  // information to the providers about this page, and take the same
+  // options as `track`.
+  //
+  // * `callback` (optional) is a function to call once the page requests
+  // have been sent, or after a small timeout at the most.
+  page : function (category, name, properties, context, callback) {
+    if (!this.initialized) return this.enqueue('page', arguments);
+
+    // Allow for leaving off any of the arguments, but passing a callback.
+    if (type(context) === 'function') {
+      callback = context;
+      context = null;
+    }
+    if (type(properties) === 'function') {
+      callback = properties;
+      properties = null;
+    }
+    if (type(name) === 'function') {
+      callback = name;
+      name = null;
+    }
+    if (type(category) === 'function') {
+      callback = category;
+      category = null;
+    }
+
+    // Allow for skipping `category` and `name`, or just `category`, and
+    // starting with `properties`.
+    if (type(category) === 'object') {
+      context = name;
+      properties = category;
+      category = name = null;
+    } else if (type(name) === 'object') {
+      context = properties;
+      properties = name;
+      name = category;
+      category = null;
+    }
+
+    // Allow for passing just a `name`.
+    if (type(category) === 'string' && !name) {
+      name = category;
+      category = null;
+    }
+
+    // Call `page` on all of our enabled providers that support it.
+    var message = this.dispatch({
+      type       : 'page',
+      userId     : this.userId,
+      category   : category,
+      name       : name,
+      properties : properties || {},
+      context    : this.buildContext(context)
+    }, callback);
+
+    if (message) {
+      this.emit('page', message.category, message.name, message.properties, message.context);
+    }
+
+    return message;
+  },
+
+
+  // Pageview
+  // --------
+  // The original way to simulate a page load, kept for backwards
+  // compatibility. It's the same as calling **page** with a `path`.
   //
   // * `url` (optional) is the url path that you want to be associated
   // with the page. You only need to pass this argument if the URL hasn't
   // changed but you want to register a new pageview.
-  pageview : function (url) {
-    if (!this.initialized) return;
+  //
+  // * `context` (optional) takes the same options as `track`, so you can
+  // turn specific providers on or off for this pageview.
+  //
+  // * `callback` (optional) is a function to call once the pageview requests
+  // have been sent, or after a small timeout at the most.
+  pageview : function (url, context, callback) {
+    if (!this.initialized) return this.enqueue('pageview', arguments);
 
-    // Call `pageview` on all of our enabled providers that support it.
-    each(this.providers, function (provider) {
-      if (provider.pageview) provider.pageview(url);
+    // Allow for not passing context, but passing a callback.
+    if (type(context) === 'function') {
+      callback = context;
+      context = null;
+    }
+
+    // Allow for not passing a url, but passing context or a callback.
+    if (type(url) === 'function') {
+      callback = url;
+      url = null;
+    }
+    if (type(url) === 'object') {
+      context = url;
+      url = null;
+    }
+
+    // Keep emitting `pageview` for listeners that haven't moved to `page`.
+    var message = this.page(null, null, url ? { path : url } : null, context, callback);
+    if (message) this.emit('pageview', message.properties.path, message.context);
+  },
+
+
+  // Automatic Pageviews
+  // -------------------
+  // Single-page apps change their URL with `history.pushState` or the hash
+  // instead of loading a new page. With the `autoPageview` option, we wrap
+  // `pushState` and `replaceState` and listen for `popstate` and
+  // `hashchange`, calling `page` with the new URL and title whenever it
+  // actually changes. The current page is left to providers to track when
+  // they load, like they always do.
+  watchHistory : function () {
+    this.lastUrl = window.location.href;
+    if (this.watchingHistory) return;
+    this.watchingHistory = true;
+
+    // Wait for the app to finish changing routes before we look, since most
+    // routers only update the title after changing the URL.
+    var self    = this
+      , history = window.history
+      , changed = function () {
+          setTimeout(function () { self.urlChanged(); }, 0);
+        };
+
+    each(['pushState', 'replaceState'], function (method) {
+      var original = history[method];
+      if (!original) return;
+      history[method] = function () {
+        var result = original.apply(this, arguments);
+        changed();
+        return result;
+      };
+    });
+
+    bind(window, 'popstate', changed);
+    bind(window, 'hashchange', changed);
+  },
+
+
+  // Call `page` for the current URL if it's changed since the last time,
+  // which skips the `replaceState` calls that only update the state, and
+  // repeated changes to the same URL.
+  urlChanged : function () {
+    var href     = window.location.href
+      , referrer = this.lastUrl;
+
+    if (!this.options.autoPageview || href === referrer) return;
+    this.lastUrl = href;
+
+    this.page({
+      url      : href,
+      path     : window.location.pathname + window.location.search + window.location.hash,
+      title    : document.title,
+      referrer : referrer
     });
   },
 
@@ -417,18 +1818,165 @@ extend(Analytics.prototype, {
   // * `originalId` (optional) is the original ID that the user was
   // recognized by. This defaults to the currently identified user's ID if
   // there is one. In most cases you don't need to pass this argument.
-  alias : function (newId, originalId) {
-    if (!this.initialized) return;
+  //
+  // * `context` (optional) takes the same options as `track`, so you can
+  // turn specific providers on or off for this alias.
+  //
+  // * `callback` (optional) is a function to call once the alias requests
+  // have been sent, or after a small timeout at the most.
+  alias : function (newId, originalId, context, callback) {
+    if (!this.initialized) return this.enqueue('alias', arguments);
+
+    // Allow for not passing context, but passing a callback.
+    if (type(context) === 'function') {
+      callback = context;
+      context = null;
+    }
+
+    // Allow for not passing an `originalId`, but passing context or a
+    // callback.
+    // Leave it `undefined` so that providers still fill in their own default.
+    if (type(originalId) === 'function') {
+      callback = originalId;
+      originalId = undefined;
+    }
+    if (type(originalId) === 'object') {
+      context = originalId;
+      originalId = undefined;
+    }
 
     // Call `alias` on all of our enabled providers that support it.
-    each(this.providers, function (provider) {
-      if (provider.alias) provider.alias(newId, originalId);
-    });
+    var message = this.dispatch({
+      type       : 'alias',
+      userId     : this.userId,
+      newId      : newId,
+      originalId : originalId,
+      context    : this.buildContext(context)
+    }, callback);
+
+    if (message) this.emit('alias', message.newId, message.originalId, message.context);
   }
 
 });
 
 
+// Run `message` through each of the `middleware` functions in turn. Returns
+// the resulting message, or `false` if one of them dropped it.
+function runMiddleware (middleware, message) {
+  each(middleware || [], function (fn) {
+    if (!message) return;
+    var result = fn(message);
+    if (result === false) message = false;
+    else if (type(result) === 'object') message = result;
+  });
+  return message;
+}
+
+
+// Wrap `fn` so that only the first call goes through.
+function once (fn) {
+  var called = false;
+  return function () {
+    if (called) return;
+    called = true;
+    fn.apply(this, arguments);
+  };
+}
+
+
+// Get the options for our storage from the `storage` and `namespace` options,
+// forcing a `storageType` if given. The cookie that remembers whether the
+// visitor opted out shares the rest of our `storage` settings this way, like
+// its domain.
+function storageOptions (options, storageType) {
+  var storage = options.storage;
+  var result = type(storage) === 'object' ? extend({}, storage) : {};
+  if (type(storage) === 'string') result.type = storage;
+  if (storageType) result.type = storageType;
+  result.namespace = options.namespace;
+  return result;
+}
+
+
+// Pull the parameters that start with `prefix` out of parsed `queries`, keyed
+// by the rest of their name. Returns `null` if there aren't any.
+function parameters (queries, prefix) {
+  var result = null;
+  each(queries, function (key, value) {
+    if (key.indexOf(prefix) !== 0 || key.length === prefix.length) return;
+    result || (result = {});
+    result[key.substr(prefix.length)] = value;
+  });
+  return result;
+}
+
+
+// Remove any `ajs_` parameters from the URL in the address bar, without
+// reloading the page, in browsers that support `history.replaceState`.
+function stripParameters () {
+  var history = window.history
+    , search  = window.location.search;
+  if (!history || !history.replaceState || !search) return;
+
+  var kept = [];
+  each(search.substr(1).split('&'), function (pair) {
+    if (pair && pair.indexOf('ajs_') !== 0) kept.push(pair);
+  });
+
+  search = kept.length ? '?' + kept.join('&') : '';
+  if (search === window.location.search) return;
+
+  history.replaceState(history.state, document.title,
+    window.location.pathname + search + window.location.hash);
+  log('removed ajs_ parameters from the url');
+}
+
+
+// Get the consent category of a `provider`, or a provider's prototype, which
+// can be changed with a `category` in its `settings`.
+function categoryOf (provider, settings) {
+  if (type(settings) === 'object' && settings.category) return settings.category;
+  return provider.category;
+}
+
+
+// Pull the arguments a provider's `method` takes out of a `message`.
+function toArguments (method, message) {
+  switch (method) {
+    case 'identify' : return [message.userId, message.traits, message.context];
+    case 'group'    : return [message.groupId, message.traits, message.context];
+    case 'track'    : return [message.event, message.properties, message.context];
+    case 'page'     : return [message.category, message.name, message.properties, message.context];
+    case 'pageview' : return [message.properties.path, message.context];
+    case 'alias'    : return [message.newId, message.originalId, message.context];
+  }
+}
+
+
+// Mix in `on`, `once`, `off` and `emit`, so that you can listen to what
+// analytics.js is doing. Events are emitted for `initialize`, `ready`,
+// `identify`, `group`, `track`, `page` and `alias` with their normalized
+// arguments, and for `providerReady` with the name of each provider as it
+// finishes loading:
+//
+//     analytics.on('track', function (event, properties, context) {
+//         console.log('Tracked ' + event);
+//     });
+//
+// When a provider throws, an `error` event is emitted with the error, the
+// name of the provider and the method that failed:
+//
+//     analytics.on('error', function (err, provider, method) {
+//         console.log(provider + ' failed to ' + method, err);
+//     });
+//
+// When a call doesn't match the tracking plan, a `violation` event is
+// emitted with the list of violations. And when the visitor's consent
+// changes, a `consent` event is emitted with the consent so far.
+//
+Emitter(Analytics.prototype);
+
+
 // Alias `trackClick` and `trackSubmit` for backwards compatibility.
 Analytics.prototype.trackClick = Analytics.prototype.trackLink;
 Analytics.prototype.trackSubmit = Analytics.prototype.trackForm;
\ No newline at end of file
@@ -0,0 +1,85 @@
+var each = require('each')
+  , type = require('type');
+
+
+module.exports = exports = debug;
+
+
+// The patterns of namespaces to log, and to leave out, from `enable`.
+var includes = []
+  , excludes = [];
+
+
+// Make a logging function for `namespace`, which logs a `message` and some
+// optional `data` to the console and the `logger`, but only when debugging
+// is enabled for that namespace. Analytics.js logs under `'analytics'`, and
+// each provider logs under `'analytics:'` followed by its name:
+//
+//     var log = debug('analytics:Mixpanel');
+//     log('called track', ['Signed Up', { plan : 'Startup' }]);
+//
+function debug (namespace) {
+  return function (message, data) {
+    if (!exports.enabled(namespace)) return;
+
+    if (type(exports.logger) === 'function') {
+      exports.logger(namespace, message, data);
+    }
+
+    if (window.console && console.log) {
+      if (arguments.length > 1) console.log(namespace + ' ' + message, data);
+      else console.log(namespace + ' ' + message);
+    }
+  };
+}
+
+
+// A function to pass each log along to as well, called with the
+// `namespace`, `message` and `data`, for sending logs somewhere other than
+// the console.
+exports.logger = null;
+
+
+// Enable logging for `namespaces`, which is either `true` for everything, or
+// a comma-separated list of namespaces. Namespaces can use `*` as a wildcard,
+// and start with `-` to be left out, like `'analytics*,-analytics:Olark'`.
+exports.enable = function (namespaces) {
+  includes = [];
+  excludes = [];
+
+  if (namespaces === true) namespaces = '*';
+  if (type(namespaces) !== 'string') return;
+
+  each(namespaces.split(','), function (namespace) {
+    namespace = namespace.replace(/^\s+|\s+$/g, '');
+    if (!namespace) return;
+
+    var list = includes;
+    if (namespace.charAt(0) === '-') {
+      list = excludes;
+      namespace = namespace.substr(1);
+    }
+
+    namespace = namespace.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    list.push(new RegExp('^' + namespace + '$'));
+  });
+};
+
+
+// Turn off all logging.
+exports.disable = function () {
+  exports.enable(null);
+};
+
+
+// Check whether logging is enabled for `namespace`.
+exports.enabled = function (namespace) {
+  var i;
+  for (i = 0; i < excludes.length; i++) {
+    if (excludes[i].test(namespace)) return false;
+  }
+  for (i = 0; i < includes.length; i++) {
+    if (includes[i].test(namespace)) return true;
+  }
+  return false;
+};
@@ -0,0 +1,34 @@
+var bind       = require('event').bind
+  , debug      = require('./debug')
+  , loadScript = require('load-script')
+  , type       = require('type');
+
+
+var log = debug('analytics');
+
+
+// Load a provider's script with `load-script`, which takes the same arguments,
+// logging how long it took to load when debugging. If the script fails to
+// load, the `callback` is passed an error instead, so that a provider that
+// passes along its `ready` gets marked as failed.
+module.exports = function load (options, callback) {
+  var src = options;
+  if (type(options) === 'object') {
+    src = 'https:' === document.location.protocol ? options.https : options.http;
+  }
+
+  var start = new Date();
+  log('loading ' + src);
+
+  var script = loadScript(options, function () {
+    log('loaded ' + src + ' in ' + (new Date() - start) + 'ms');
+    if (type(callback) === 'function') callback.apply(this, arguments);
+  });
+
+  bind(script, 'error', function () {
+    log('failed to load ' + src);
+    if (type(callback) === 'function') callback(new Error('Failed to load ' + src));
+  });
+
+  return script;
+};
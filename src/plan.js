@@ -0,0 +1,129 @@
+var each   = require('each')
+  , extend = require('extend')
+  , type   = require('type');
+
+
+module.exports = Plan;
+
+
+// A tracking plan declares which events can be tracked with which
+// properties, and which traits users can be identified with, so that calls
+// that drift from it can be caught before they reach any providers:
+//
+//     {
+//       mode   : 'warn',
+//       events : {
+//         'Signed Up' : {
+//           plan  : { type : 'string', required : true },
+//           seats : 'number'
+//         }
+//       },
+//       traits : {
+//         email   : 'string',
+//         created : 'date'
+//       }
+//     }
+//
+// Each property or trait is either the name of its type, as returned by
+// `component/type`, or a dictionary with a `type` and whether it's
+// `required`. Leaving out `events` or `traits` skips checking them.
+function Plan (options) {
+  this.options = extend({}, this.options, options);
+}
+
+
+// Add to the `Plan` prototype.
+extend(Plan.prototype, {
+
+  options : {
+    // What to do with calls that don't match the plan. `'warn'` still sends
+    // them, `'drop'` doesn't, and `'strict'` throws an error, which is handy
+    // during development.
+    mode : 'warn',
+
+    // The planned events, with their properties.
+    events : null,
+
+    // The planned traits.
+    traits : null
+  },
+
+
+  // Check a track call against the plan, returning a list of violations.
+  track : function (event, properties) {
+    var events = this.options.events;
+    if (!events) return [];
+
+    if (!events.hasOwnProperty(event)) {
+      return [violation('track', 'Unplanned event "' + event + '"', { event : event })];
+    }
+
+    return check('track', 'property', events[event], properties, { event : event });
+  },
+
+
+  // Check the traits of an identify call against the plan, returning a list
+  // of violations. Traits are identified a few at a time, so none of them
+  // are required.
+  identify : function (traits) {
+    var planned = this.options.traits;
+    if (!planned) return [];
+
+    return check('identify', 'trait', planned, traits, {}, true);
+  }
+
+});
+
+
+// Check the `values` of a call to `method` against the `specs` of what's
+// planned, where `noun` is either `'property'` or `'trait'`.
+function check (method, noun, specs, values, attrs, optional) {
+  var violations = [];
+  values || (values = {});
+
+  each(values, function (key, value) {
+    if (!specs.hasOwnProperty(key)) {
+      violations.push(violation(method, 'Unplanned ' + noun + ' "' + key + '"', attrs, noun, key));
+    }
+  });
+
+  each(specs, function (key, spec) {
+    if (type(spec) === 'string') spec = { type : spec };
+
+    if (values[key] === undefined) {
+      if (spec.required && !optional) {
+        violations.push(violation(method, 'Missing required ' + noun + ' "' + key + '"', attrs, noun, key));
+      }
+      return;
+    }
+
+    var actual = type(values[key]);
+    if (spec.type && actual !== spec.type) {
+      violations.push(violation(method, capitalize(noun) + ' "' + key + '" should be a ' + spec.type + ', not a ' + actual, attrs, noun, key));
+    }
+  });
+
+  return violations;
+}
+
+
+// Make a violation of the plan, like:
+//
+//     {
+//       method   : 'track',
+//       event    : 'Signed Up',
+//       property : 'plan',
+//       message  : 'Missing required property "plan"'
+//     }
+//
+function violation (method, message, attrs, noun, key) {
+  var result = extend({ method : method }, attrs);
+  if (noun) result[noun] = key;
+  result.message = message;
+  return result;
+}
+
+
+function capitalize (string) {
+  return string.charAt(0).toUpperCase() + string.slice(1);
+}
@@ -1,4 +1,5 @@
-var extend = require('extend')
+var debug  = require('./debug')
+  , extend = require('extend')
   , type   = require('type');
 
 
@@ -6,6 +7,7 @@ module.exports = Provider;
 
 
 function Provider (options, ready) {
+  var self = this;
   // Allow for `options` to only be a string if the provider has specified
   // a default `key`, in which case convert `options` into a dictionary.
   if (type(options) !== 'object') {
@@ -17,10 +19,16 @@ function Provider (options, ready) {
       throw new Error('Could not resolve options.');
     }
   }
-  // Extend the options passed in with the provider's defaults.
-  extend(this.options, options);
-  // Call the provider's initialize object.
-  this.initialize.call(this, this.options, ready);
+  // Extend the options passed in with the provider's defaults, in a copy of
+  // our own so that other instances of the provider keep theirs.
+  this.options = extend({}, this.options, options);
+  // Call the provider's initialize object, replaying any calls we queued up
+  // while its library was loading once it's ready.
+  this.queue = [];
+  this.initialize.call(this, this.options, function () {
+    self.flush.apply(self, arguments);
+    if (type(ready) === 'function') ready.apply(this, arguments);
+  });
 }
 
 
@@ -40,7 +48,20 @@ Provider.extend = function (properties) {
 // Add to the default Provider prototype.
 extend(Provider.prototype, {
 
-  // Override this with any default options.
+  // Override this with any default options. Every provider also takes an
+  // `events` option, to `include` or `exclude` events by name or regular
+  // expression, and to `rename` them to what the provider expects:
+  //
+  //     analytics.initialize({
+  //       'Olark' : {
+  //         siteId : 'XXXXXXX',
+  //         events : { include : [/^Chat/], rename : { 'Chat Opened' : 'chat' } }
+  //       }
+  //     });
+  //
+  // And a `sampleRate` option, the percentage of visitors to send it calls
+  // for, or of track and page calls if its `sampleBy` option is `'event'`.
+  //
   options : {},
 
   // Override this if our provider only needs a single API key to
@@ -53,9 +74,105 @@ extend(Provider.prototype, {
   //
   key : undefined,
 
+  // The consent category the provider falls under, which is one of
+  // `'analytics'`, `'marketing'`, `'support'` or `'errors'`. It can be
+  // changed with a `category` option. See `analytics.consent`.
+  category : 'analytics',
+
+  // Override with the names of any methods that can tell us when their
+  // request has been sent. Those methods get passed one more argument, a
+  // callback to call once it has, so that `analytics` can call back sooner
+  // than its timeout:
+  //
+  //     callbacks : ['track'],
+  //
+  //     track : function (event, properties, context, callback) {
+  //       window.provider.track(event, properties, callback);
+  //     }
+  //
+  callbacks : [],
+
+  // Set once one of our methods has thrown, after which `analytics` stops
+  // calling us.
+  degraded : false,
+
+  // Set to `true` if our `identify` already links the visitor's anonymous
+  // history to the `userId`, so that `analytics` doesn't also `alias` them
+  // the first time they're identified.
+  aliasesOnIdentify : false,
+
+  // Set to `true` if our methods don't work until our library has loaded, so
+  // that calls to them are queued up until we call `ready`, and then replayed
+  // in order, instead of being thrown away.
+  queueUntilReady : false,
+
+  // The most calls to queue up until we're ready, past which they're
+  // dropped. `analytics` sets it to its own `queueSize`.
+  queueSize : 100,
+
+  // Whether we've called `ready` yet, after our library loaded or failed to.
+  loaded : false,
+
   // Override to provider your own initialization logic, usually a snippet
   // and loading a Javascript library.
   initialize : function (options, ready) {
     ready();
+  },
+
+  // Call our `method` with `args`, which `analytics` does for every call it
+  // sends us, or queue it up if we're still waiting for our library to load.
+  invoke : function (method, args) {
+    if (this.queueUntilReady && !this.loaded) {
+      if (this.queue.length >= this.queueSize) {
+        return this.log('dropped ' + method + ', since the queue is full', args);
+      }
+      this.log('queued ' + method + ' until ready', args);
+      this.queue.push({ method : method, args : args });
+      return;
+    }
+
+    return this[method].apply(this, args);
+  },
+
+  // Replay the calls we queued up, now that we're ready. If our library
+  // failed to load, we're passed an error, and drop them instead.
+  flush : function (err) {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    var queue = this.queue;
+    this.queue = [];
+
+    if (err instanceof Error) {
+      if (queue.length) this.log('dropped ' + queue.length + ' queued calls');
+      return;
+    }
+
+    for (var i = 0; i < queue.length; i++) {
+      // Nothing is waiting on these calls any more to catch what they throw,
+      // so stop calling us if one does, like `analytics` would.
+      try {
+        this.log('called ' + queue[i].method, queue[i].args);
+        this[queue[i].method].apply(this, queue[i].args);
+      } catch (e) {
+        this.failed(e, queue[i].method);
+        return;
+      }
+    }
+  },
+
+  // Called with the error `e` when one of the calls we replay in `flush`
+  // throws from `method`. Stops calling us. `analytics` overrides it to
+  // report the error as well.
+  failed : function (e, method) {
+    this.log('failed to ' + method, e);
+    this.degraded = true;
+  },
+
+  // Log a `message` and some optional `data` in debug mode, under this
+  // provider's `'analytics:Name'` namespace. Handy for logging what we
+  // actually send to the provider's library.
+  log : function (message, data) {
+    debug('analytics:' + this.name).apply(this, arguments);
   }
 });
\ No newline at end of file
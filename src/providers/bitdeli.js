@@ -6,7 +6,7 @@
 var Provider = require('../provider')
   , type     = require('type')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -26,7 +26,7 @@ module.exports = Provider.extend({
     window._bdq = window._bdq || [];
     window._bdq.push(["setAccount", options.inputId, options.authToken]);
 
-    if (options.initialPageview) this.pageview();
+    if (options.initialPageview) this.page();
 
     load('//d2flrkr957qc5j.cloudfront.net/bitdeli.min.js');
 
@@ -48,9 +48,10 @@ module.exports = Provider.extend({
   },
 
 
-  // If `url` is undefined, Bitdeli uses the current page URL instead.
-  pageview : function (url) {
-    window._bdq.push(['trackPageview', url]);
+  // If `path` is undefined, Bitdeli uses the current page URL instead.
+  page : function (category, name, properties) {
+    properties || (properties = {});
+    window._bdq.push(['trackPageview', properties.path]);
   }
 
 });
\ No newline at end of file
@@ -6,7 +6,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 var loadTime = new Date();
 
@@ -19,6 +19,10 @@ module.exports = Provider.extend({
     uid    : null
   },
 
+  // Chartbeat's `virtualPage` only exists once its library loads, so queue
+  // calls until then.
+  queueUntilReady : true,
+
 
   initialize : function (options, ready) {
     // Since all the custom options just get passed through, update the
@@ -31,15 +35,23 @@ module.exports = Provider.extend({
       https : 'https://a248.e.akamai.net/chartbeat.download.akamai.com/102508/js/chartbeat.js',
       http  : 'http://static.chartbeat.com/js/chartbeat.js'
     }, ready);
+
+    // Chartbeat is ready right away if it was loaded before.
+    if (window.pSUPERFLY) ready();
   },
 
 
-  pageview : function (url) {
-    // In case the Chartbeat library hasn't loaded yet.
+  page : function (category, name, properties, context) {
+    // In case the Chartbeat library failed to load.
     if (!window.pSUPERFLY) return;
 
-    // Requires a path, so default to the current one.
-    window.pSUPERFLY.virtualPage(url || window.location.pathname);
+    // Chartbeat groups pages into sections, which are a good fit for the
+    // page's category.
+    if (category) window._sf_async_config.sections = category;
+
+    // Requires a path, so default to the current one. The title is optional.
+    var title = name ? (category ? category + ' ' + name : name) : properties.title;
+    window.pSUPERFLY.virtualPage(properties.path || context.page.path, title);
   }
 
 });
\ No newline at end of file
@@ -4,7 +4,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -15,20 +15,24 @@ module.exports = Provider.extend({
     siteId : null
   },
 
+  // Clicky only exists once its library loads, so queue calls until then.
+  queueUntilReady : true,
+
 
   initialize : function (options, ready) {
     window.clicky_site_ids = window.clicky_site_ids || [];
     window.clicky_site_ids.push(options.siteId);
     load('//static.getclicky.com/js', ready);
+
+    // Clicky might already be loaded from an earlier initialize.
+    if (window.clicky) ready();
   },
 
 
   track : function (event, properties) {
-    // In case the Clicky library hasn't loaded yet.
+    // In case the Clicky library failed to load.
     if (!window.clicky) return;
 
-    // We aren't guaranteed `clicky` is available until the script has been
-    // requested and run, hence the check.
     window.clicky.log(window.location.href, event);
   }
 
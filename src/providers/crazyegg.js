@@ -4,7 +4,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
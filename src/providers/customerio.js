@@ -5,13 +5,15 @@
 var Provider = require('../provider')
   , extend   = require('extend')
   , isEmail  = require('is-email')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
 
   key : 'siteId',
 
+  category : 'marketing',
+
   options : {
     siteId : null
   },
@@ -48,6 +50,9 @@ module.exports = Provider.extend({
     // requires a `userId`.
     if (!userId) return;
 
+    // Remember the `userId`, since grouping needs it too.
+    this.userId = userId;
+
     traits || (traits = {});
 
     // Customer.io takes the `userId` as part of the traits object.
@@ -67,6 +72,18 @@ module.exports = Provider.extend({
   },
 
 
+  // Customer.io doesn't have groups, so we store the `groupId` as a trait
+  // on the current user, which also requires a `userId`.
+  group : function (groupId, traits) {
+    if (!this.userId) return;
+
+    window._cio.identify({
+      id      : this.userId,
+      groupId : groupId
+    });
+  },
+
+
   track : function (event, properties) {
     window._cio.track(event, properties);
   }
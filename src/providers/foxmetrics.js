@@ -7,7 +7,7 @@
 
 var Provider = require('../provider')
   , extend = require('extend')
-  , load   = require('load-script');
+  , load   = require('../load');
 
 
 module.exports = Provider.extend({
@@ -70,14 +70,15 @@ module.exports = Provider.extend({
   },
 
 
-  pageview : function (url) {
+  page : function (category, name, properties, context) {
+    var page = context.page;
     window._fxm.push([
       '_fxm.pages.view',
-      null,        // title
-      null,        // name
-      null,        // category
-      url || null, // url
-      null         // referrer
+      properties.title || page.title || null, // title
+      name || null,                           // name
+      category || null,                       // category
+      properties.path || null,                // url
+      page.referrer || null                   // referrer
     ]);
   }
 
@@ -4,7 +4,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -28,7 +28,7 @@ module.exports = Provider.extend({
   },
 
 
-  pageview : function (url) {
+  page : function (category, name, properties) {
     window._gauges.push(['track']);
   }
 
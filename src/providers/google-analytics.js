@@ -3,11 +3,10 @@
 // [Documentation](https://developers.google.com/analytics/devguides/collection/gajs/).
 
 var Provider = require('../provider')
-  , each     = require('each')
   , extend   = require('extend')
-  , load     = require('load-script')
+  , load     = require('../load')
   , type     = require('type')
-  , url      = require('url');
+  , utils    = require('../utils');
 
 
 module.exports = Provider.extend({
@@ -19,39 +18,47 @@ module.exports = Provider.extend({
     enhancedLinkAttribution : false,
     siteSpeedSampleRate     : null,
     domain                  : null,
-    trackingId              : null
+    trackingId              : null,
+    // How long a visitor can be inactive for, in milliseconds, before their
+    // session ends. Set it to the same as analytics.js's `sessionTimeout` so
+    // that they agree on sessions.
+    sessionTimeout          : null,
+    // The name of a tracker of our own, for tracking to another account on a
+    // page that already uses Google Analytics.
+    name                    : null
   },
 
 
+  // Google Analytics tells us when a hit has been sent with `hitCallback`.
+  callbacks : ['track', 'page'],
+
+
   initialize : function (options, ready) {
     window._gaq = window._gaq || [];
-    window._gaq.push(['_setAccount', options.trackingId]);
+    this.push(['_setAccount', options.trackingId]);
 
     // Apply a bunch of settings.
     if (options.domain) {
-      window._gaq.push(['_setDomainName', options.domain]);
+      this.push(['_setDomainName', options.domain]);
     }
     if (options.enhancedLinkAttribution) {
       var protocol = 'https:' === document.location.protocol ? 'https:' : 'http:';
       var pluginUrl = protocol + '//www.google-analytics.com/plugins/ga/inpage_linkid.js';
-      window._gaq.push(['_require', 'inpage_linkid', pluginUrl]);
+      this.push(['_require', 'inpage_linkid', pluginUrl]);
     }
     if (type(options.siteSpeedSampleRate) === 'number') {
-      window._gaq.push(['_setSiteSpeedSampleRate', options.siteSpeedSampleRate]);
+      this.push(['_setSiteSpeedSampleRate', options.siteSpeedSampleRate]);
+    }
+    if (type(options.sessionTimeout) === 'number') {
+      this.push(['_setSessionCookieTimeout', options.sessionTimeout]);
     }
     if(options.anonymizeIp) {
       window._gaq.push(['_gat._anonymizeIp']);
     }
 
-    // Track the initial pageview, using the canonical URL path if available.
-    var canonicalPath
-      , metaTags = document.getElementsByTagName('meta');
-    each(metaTags, function (el) {
-      if (el.getAttribute('rel') === 'canonical') {
-        canonicalPath = url.parse(el.getAttribute('href')).pathname;
-      }
-    });
-    this.pageview(canonicalPath);
+    // Track the initial pageview, which uses the canonical URL path if the
+    // page has one.
+    this.page(null, null, null, { page : utils.pageContext() });
 
     load({
       http  : 'http://www.google-analytics.com/ga.js',
@@ -63,7 +70,7 @@ module.exports = Provider.extend({
   },
 
 
-  track : function (event, properties) {
+  track : function (event, properties, context, callback) {
     properties || (properties = {});
 
     var value;
@@ -75,20 +82,47 @@ module.exports = Provider.extend({
     // so if it's not there we use `'All'` as a default. We can safely push
     // undefined if the special properties don't exist. Try using revenue
     // first, but fall back to a generic `value` as well.
-    window._gaq.push([
+    this.push([
       '_trackEvent',
       properties.category || 'All',
       event,
       properties.label,
       Math.round(properties.revenue) || value,
       properties.noninteraction
-    ]);
+    ], callback);
+  },
+
+
+  // If there isn't a `path`, use the one from the page context, which is the
+  // canonical path if the page has one. Named pages use their name as the
+  // title, otherwise we fall back to the page's real title.
+  page : function (category, name, properties, context, callback) {
+    properties || (properties = {});
+
+    var page  = context.page
+      , path  = properties.path || page.path + page.search
+      , title = properties.title || page.title;
+
+    if (name) title = category ? category + ' ' + name : name;
+
+    this.push(['_set', 'title', title]);
+    this.push(['_trackPageview', path], callback);
   },
 
 
-  pageview : function (url) {
-    // If there isn't a url, that's fine.
-    window._gaq.push(['_trackPageview', url]);
+  // Push a `command` onto the queue for our tracker, setting `hitCallback` to
+  // `callback` for just that one hit, since it would otherwise stick around
+  // for later hits too.
+  push : function (command, callback) {
+    var name = this.options.name;
+    var send = function (command) {
+      if (name) command = [name + '.' + command[0]].concat(command.slice(1));
+      window._gaq.push(command);
+    };
+
+    if (callback) send(['_set', 'hitCallback', callback]);
+    send(command);
+    if (callback) send(['_set', 'hitCallback', null]);
   }
 
 });
\ No newline at end of file
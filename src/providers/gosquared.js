@@ -6,7 +6,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -45,8 +45,8 @@ module.exports = Provider.extend({
   },
 
 
-  pageview : function (url) {
-    window.GoSquared.q.push(['TrackView', url]);
+  page : function (category, name, properties) {
+    window.GoSquared.q.push(['TrackView', properties.path]);
   }
 
 });
\ No newline at end of file
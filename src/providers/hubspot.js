@@ -4,13 +4,15 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
 
   key : 'portalId',
 
+  category : 'marketing',
+
   options : {
     portalId : null
   },
@@ -48,7 +50,7 @@ module.exports = Provider.extend({
   },
 
 
-  pageview : function () {
+  page : function (category, name, properties) {
     // TODO http://performabledoc.hubspot.com/display/DOC/JavaScript+API
   }
 
@@ -4,7 +4,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script')
+  , load     = require('../load')
   , isEmail  = require('is-email');
 
 
@@ -17,6 +17,8 @@ module.exports = Provider.extend({
 
   key : 'appId',
 
+  category : 'support',
+
   options : {
     appId : null,
 
@@ -62,6 +64,9 @@ module.exports = Provider.extend({
       if (traits.created) settings.created_at = Math.floor(traits.created/1000);
     }
 
+    // Fall back to the company from the last `group` call.
+    if (!settings.company && this.company) settings.company = this.company;
+
     // If they didn't pass an email, check to see if the `userId` qualifies.
     if (isEmail(userId) && (traits && !traits.email)) settings.email = userId;
 
@@ -77,6 +82,29 @@ module.exports = Provider.extend({
 
     // Set the initialized state, so that we don't initialize again.
     this.initialized = true;
+  },
+
+
+  // Intercom calls groups companies. They need an `id`, and the `created`
+  // trait converted to `created_at` in seconds, just like users.
+  group : function (groupId, traits) {
+    var company = extend({}, traits, { id : groupId });
+    if (company.created) {
+      company.created_at = Math.floor(company.created/1000);
+      delete company.created;
+    }
+
+    // Save the company for the next `identify`, in case we haven't been
+    // initialized yet.
+    this.company = company;
+    if (!this.initialized) return;
+
+    // Otherwise update the settings Intercom reads when it boots, and update
+    // Intercom directly if it has already booted.
+    window.intercomSettings.company = company;
+    if (typeof window.Intercom === 'function') {
+      window.Intercom('update', { company : company });
+    }
   }
 
 });
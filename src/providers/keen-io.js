@@ -4,7 +4,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -42,8 +42,19 @@ module.exports = Provider.extend({
   },
 
 
-  track : function(event, properties) {
-    window.Keen.addEvent(event, properties);
+  // Keen IO calls back on success or on error, and either way the request is
+  // done.
+  callbacks : ['track'],
+
+
+  // The session ID is added to every event, so that Keen IO's sessions
+  // match everyone else's.
+  track : function(event, properties, context, callback) {
+    if (context && context.sessionId) {
+      properties = extend({ sessionId : context.sessionId }, properties);
+    }
+
+    window.Keen.addEvent(event, properties, callback, callback);
   }
 
 });
\ No newline at end of file
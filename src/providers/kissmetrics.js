@@ -5,7 +5,8 @@
 var Provider = require('../provider')
   , extend   = require('extend')
   , alias    = require('alias')
-  , load     = require('load-script');
+  , each     = require('each')
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -13,9 +14,15 @@ module.exports = Provider.extend({
   key : 'apiKey',
 
   options : {
-    apiKey : null
+    apiKey : null,
+    // KISSmetrics doesn't have groups, so group traits are `set` on the
+    // user with this prefix on their names.
+    groupPrefix : 'Group - '
   },
 
+  // KISSmetrics links the anonymous visitor to the `userId` on `identify`.
+  aliasesOnIdentify : true,
+
 
   initialize : function (options, ready) {
     window._kmq = window._kmq || [];
@@ -35,6 +42,19 @@ module.exports = Provider.extend({
   },
 
 
+  group : function (groupId, traits) {
+    var prefix = this.options.groupPrefix
+      , prefixed = {};
+
+    prefixed[prefix + 'id'] = groupId;
+    each(traits, function (key, value) {
+      prefixed[prefix + key] = value;
+    });
+
+    window._kmq.push(['set', prefixed]);
+  },
+
+
   track : function (event, properties) {
     // KISSmetrics handles revenue with the `'Billing Amount'` property by
     // default, although it's changeable in the interface.
@@ -42,6 +62,7 @@ module.exports = Provider.extend({
       alias(properties, {
         'revenue' : 'Billing Amount'
       });
+      this.log('aliased properties', properties);
     }
 
     window._kmq.push(['record', event, properties]);
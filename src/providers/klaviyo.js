@@ -4,13 +4,15 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
 
   key : 'apiKey',
 
+  category : 'marketing',
+
   options : {
     apiKey : null
   },
@@ -5,27 +5,36 @@
 var Provider = require('../provider')
   , each     = require('each')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
 
   key : 'license',
 
+  category : 'support',
+
   options : {
     license : null
   },
 
+  // LiveChat's API only exists once its library loads, so queue calls until
+  // then.
+  queueUntilReady : true,
+
   initialize : function (options, ready) {
     window.__lc = { license : options.license };
     load('//cdn.livechatinc.com/tracking.js', ready);
+
+    // LiveChat's API sticks around if we're initialized again.
+    if (window.LC_API) ready();
   },
 
 
   // LiveChat isn't an analytics service, but we can use the `userId` and
   // `traits` to tag the user with their real name in the chat console.
   identify : function (userId, traits) {
-    // In case the LiveChat library hasn't loaded yet.
+    // In case the LiveChat library failed to load.
     if (!window.LC_API) return;
 
     // We need either a `userId` or `traits`.
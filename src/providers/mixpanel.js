@@ -20,11 +20,18 @@ module.exports = Provider.extend({
     // Whether to use Mixpanel's People API.
     people  : false,
     // The Mixpanel API token for your account.
-    token   : null
+    token   : null,
+    // Whether to track named pages as a `'Viewed ___ Page'` event.
+    trackNamedPages : true,
+    // The name of a Mixpanel instance of our own, for tracking to another
+    // project on a page that already uses Mixpanel.
+    name    : null
   },
 
   initialize : function (options, ready) {
-    (function (c, a) {
+    // Only run the snippet if nothing else on the page has, since running it
+    // twice breaks Mixpanel.
+    if (!window.mixpanel || !window.mixpanel.init) (function (c, a) {
       window.mixpanel = a;
       var b, d, h, e;
       b = c.createElement('script');
@@ -52,8 +59,10 @@ module.exports = Provider.extend({
       a.__SV = 1.2;
     })(document, window.mixpanel || []);
 
-    // Pass options directly to `init` as the second argument.
-    window.mixpanel.init(options.token, options);
+    // Pass options directly to `init` as the second argument, and our name if
+    // we have one, to get an instance of our own at `window.mixpanel[name]`.
+    if (options.name) window.mixpanel.init(options.token, options, options.name);
+    else window.mixpanel.init(options.token, options);
 
     // Mixpanel creats all of its methods in the snippet, so it's ready
     // immediately.
@@ -79,43 +88,76 @@ module.exports = Provider.extend({
         'name'      : '$name',
         'username'  : '$username'
       });
+      this.log('aliased traits', traits);
     }
 
     // Finally, call all of the identify equivalents. Verify certain calls
     // against options to make sure they're enabled.
     if (userId) {
-      window.mixpanel.identify(userId);
-      if (this.options.nameTag) window.mixpanel.name_tag(traits && traits.$email || userId);
+      this.mixpanel().identify(userId);
+      if (this.options.nameTag) this.mixpanel().name_tag(traits && traits.$email || userId);
     }
     if (traits) {
-      window.mixpanel.register(traits);
-      if (this.options.people) window.mixpanel.people.set(traits);
+      this.mixpanel().register(traits);
+      if (this.options.people) this.mixpanel().people.set(traits);
     }
   },
 
 
-  track : function (event, properties) {
-    window.mixpanel.track(event, properties);
+  // Mixpanel's `track` calls back once the event has been sent.
+  callbacks : ['track'],
+
+
+  // The session ID is added to every event, so that Mixpanel's sessions
+  // match everyone else's.
+  track : function (event, properties, context, callback) {
+    if (context && context.sessionId) {
+      properties = extend({ sessionId : context.sessionId }, properties);
+    }
+
+    this.mixpanel().track(event, properties, callback);
 
     // Mixpanel handles revenue with a `transaction` call in their People
     // feature. So if we're using people, record a transcation.
     if (properties && properties.revenue && this.options.people) {
-        window.mixpanel.people.track_charge(properties.revenue);
+        this.mixpanel().people.track_charge(properties.revenue);
     }
   },
 
 
   // Mixpanel doesn't actually track the pageviews, but they do show up in the
-  // Mixpanel stream.
-  pageview : function (url) {
-    window.mixpanel.track_pageview(url);
+  // Mixpanel stream. Named pages can also be tracked as a regular event, so
+  // that they show up in reports.
+  page : function (category, name, properties) {
+    this.mixpanel().track_pageview(properties.path);
+
+    if (name && this.options.trackNamedPages) {
+      var fullName = category ? category + ' ' + name : name;
+      this.mixpanel().track('Viewed ' + fullName + ' Page', properties);
+    }
+  },
+
+
+  // Mixpanel doesn't have groups, so we register the `groupId` as a
+  // `company` super property instead, so it's attached to every event.
+  group : function (groupId, traits) {
+    this.mixpanel().register({ company : groupId });
+    if (this.options.people) this.mixpanel().people.set({ company : groupId });
   },
 
 
   // Although undocumented, Mixpanel actually supports the `originalId`. It
   // just usually defaults to the current user's `distinct_id`.
   alias : function (newId, originalId) {
-    window.mixpanel.alias(newId, originalId);
+    this.mixpanel().alias(newId, originalId);
+  },
+
+
+  // Get the Mixpanel instance we track to, which is our named one if we have
+  // a `name`.
+  mixpanel : function () {
+    var name = this.options.name;
+    return name ? window.mixpanel[name] : window.mixpanel;
   }
 
 });
\ No newline at end of file
@@ -10,6 +10,8 @@ module.exports = Provider.extend({
 
   key : 'siteId',
 
+  category : 'support',
+
   options : {
     siteId   : null,
     identify : true,
@@ -63,14 +65,17 @@ module.exports = Provider.extend({
 
   // Again, not analytics, but we can mimic the functionality Olark has for
   // normal pageviews with pseudo-pageviews, telling the operator when a
-  // visitor changes pages.
-  pageview : function (url) {
+  // visitor changes pages, and which page it is if it has a name.
+  page : function (category, name, properties, context) {
     // Check the `pageview` settings to know whether they want this or not.
     if (!this.options.pageview) return;
 
+    var body = properties.url || context.page.url;
+    if (name) body = (category ? category + ' ' + name : name) + ' (' + body + ')';
+
     // To stay consistent with olark's default messages, it's all lowercase.
     window.olark('api.chat.sendNotificationToOperator', {
-      body : 'looking at ' + window.location.href
+      body : 'looking at ' + body
     });
   }
 
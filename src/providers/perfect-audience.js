@@ -4,26 +4,35 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
 
   key : 'siteId',
 
+  category : 'marketing',
+
   options : {
     siteId : null
   },
 
+  // Perfect Audience's `track` only exists once its library loads, so queue
+  // calls until then.
+  queueUntilReady : true,
+
 
   initialize : function (options, ready) {
     window._pa = window._pa || {};
     load('//tag.perfectaudience.com/serve/' + options.siteId + '.js', ready);
+
+    // No need to wait if the library is already on the page.
+    if (window._pa.track) ready();
   },
 
 
   track : function (event, properties) {
-    // In case the Perfect Audience library hasn't loaded yet.
+    // In case the Perfect Audience library failed to load.
     if (!window._pa.track) return;
 
     window._pa.track(event, properties);
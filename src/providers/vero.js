@@ -5,13 +5,15 @@
 var Provider = require('../provider')
   , extend   = require('extend')
   , isEmail  = require('is-email')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
 
   key : 'apiKey',
 
+  category : 'marketing',
+
   options : {
     apiKey : null
   },
@@ -4,7 +4,7 @@
 
 var Provider = require('../provider')
   , extend   = require('extend')
-  , load     = require('load-script');
+  , load     = require('../load');
 
 
 module.exports = Provider.extend({
@@ -12,22 +12,38 @@ module.exports = Provider.extend({
   key : 'domain',
 
   options : {
-    domain : null
+    domain      : null,
+    // How long a visitor can be idle for, in milliseconds, before Woopra
+    // considers them gone. Set it to `1800000` to agree with analytics.js's
+    // default 30 minute `sessionTimeout`.
+    idleTimeout : 300000
   },
 
+  // Woopra's tracker only exists once its library loads, so queue calls
+  // until then.
+  queueUntilReady : true,
+
 
   initialize : function (options, ready) {
     // Woopra gives us a nice ready callback.
     var self = this;
     window.woopraReady = function (tracker) {
       tracker.setDomain(self.options.domain);
-      tracker.setIdleTimeout(300000);
+      tracker.setIdleTimeout(self.options.idleTimeout);
       tracker.track();
       ready();
       return false;
     };
 
-    load('//static.woopra.com/js/woopra.js');
+    // Woopra calls `woopraReady` once it loads, so we only need to hear from
+    // the script if it fails to.
+    load('//static.woopra.com/js/woopra.js', function (err) {
+      if (err instanceof Error) ready(err);
+    });
+
+    // Woopra might not call `woopraReady` again if it's already loaded, so if
+    // there's a tracker, we're ready now.
+    if (window.woopraTracker) ready();
   },
 
 
@@ -38,7 +54,7 @@ module.exports = Provider.extend({
 
 
   track : function (event, properties) {
-    // We aren't guaranteed a tracker.
+    // In case the Woopra library failed to load.
     if (!window.woopraTracker) return;
 
     // Woopra takes its event as dictionaries with the `name` key.
@@ -0,0 +1,151 @@
+var cookie = require('cookie')
+  , extend = require('extend')
+  , json   = require('json')
+  , type   = require('type');
+
+
+module.exports = Storage;
+
+
+// A tiny storage layer for persisting state, like the identified user, across
+// page loads. Values are serialized to JSON and kept in either a cookie or in
+// localStorage, or only kept in memory for the current page.
+function Storage (options) {
+  // Allow for `options` to just be the type of storage.
+  if (type(options) === 'string') options = { type : options };
+
+  this.options = extend({}, this.options, options);
+
+  // Fall back to cookies when localStorage isn't available, like in old IE or
+  // in Safari's private browsing mode.
+  if (this.options.type === 'localStorage' && !hasLocalStorage()) {
+    this.options.type = 'cookie';
+  }
+
+  this.values = {};
+}
+
+
+// Add to the `Storage` prototype.
+extend(Storage.prototype, {
+
+  options : {
+    // Either `'cookie'`, `'localStorage'` or `'memory'`.
+    type : 'cookie',
+
+    // How long cookies last, in milliseconds. Defaults to a year.
+    maxage : 31536000000,
+
+    // The cookie path and domain. Set `domain` to something like
+    // `'.example.com'` to share state across subdomains.
+    path   : '/',
+    domain : null,
+
+    // A prefix for every key, so that separate instances of analytics.js on
+    // the same page don't read or overwrite each other's state.
+    namespace : null
+  },
+
+
+  // Get the value stored for `key`, or `null` if there isn't one or it can't
+  // be parsed.
+  get : function (key) {
+    var value;
+    key = this.key(key);
+    switch (this.options.type) {
+      case 'localStorage':
+        value = window.localStorage.getItem(key);
+        break;
+      case 'memory':
+        value = this.values[key];
+        break;
+      default:
+        value = cookie(key);
+    }
+
+    if (value === null || value === undefined) return null;
+
+    try {
+      return json.parse(value, reviveDate);
+    } catch (e) {
+      return null;
+    }
+  },
+
+
+  // Store `value` under `key`. Setting a `null` or `undefined` value removes
+  // the key instead.
+  set : function (key, value) {
+    if (value === null || value === undefined) return this.remove(key);
+
+    value = json.stringify(value);
+    key = this.key(key);
+
+    switch (this.options.type) {
+      case 'localStorage':
+        window.localStorage.setItem(key, value);
+        break;
+      case 'memory':
+        this.values[key] = value;
+        break;
+      default:
+        cookie(key, value, {
+          maxage : this.options.maxage,
+          path   : this.options.path,
+          domain : this.options.domain
+        });
+    }
+  },
+
+
+  // Remove the value stored under `key`.
+  remove : function (key) {
+    key = this.key(key);
+    switch (this.options.type) {
+      case 'localStorage':
+        window.localStorage.removeItem(key);
+        break;
+      case 'memory':
+        delete this.values[key];
+        break;
+      default:
+        cookie(key, null, {
+          path   : this.options.path,
+          domain : this.options.domain
+        });
+    }
+  },
+
+
+  // The actual key that `key` is stored under, prefixed with our `namespace`
+  // if we have one.
+  key : function (key) {
+    var namespace = this.options.namespace;
+    return namespace ? namespace + '_' + key : key;
+  }
+
+});
+
+
+// Dates are serialized as ISO strings, so turn them back into dates when we
+// read them, since providers like Intercom rely on traits like `created`
+// being real dates.
+var isoDate = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+function reviveDate (key, value) {
+  if (type(value) === 'string' && isoDate.test(value)) return new Date(value);
+  return value;
+}
+
+
+// Check whether localStorage is actually usable, since some browsers expose
+// it but throw when you try to write to it.
+function hasLocalStorage () {
+  try {
+    window.localStorage.setItem('ajs_test', 'ajs_test');
+    window.localStorage.removeItem('ajs_test');
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
@@ -1,7 +1,8 @@
 
 var type  = require('type')
   , each  = require('each')
-  , clone = require('clone');
+  , clone = require('clone')
+  , url   = require('url');
 
 
 exports.clone = clone;
@@ -104,6 +105,43 @@ var isBoolean = exports.isBoolean = function(obj) {
   return obj === true || obj === false || toString.call(obj) == '[object Boolean]';
 };
 
+// Generate a random [version 4 UUID](http://www.ietf.org/rfc/rfc4122.txt),
+// used to give anonymous visitors a stable ID.
+exports.uuid = function () {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function (c) {
+    var r = Math.random() * 16 | 0;
+    var v = c === 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+};
+
+// Hash a `string` to a whole number, which is always the same for the same
+// string. Uses [32-bit FNV-1a](http://www.isthe.com/chongo/tech/comp/fnv/),
+// mixed at the end so that similar strings get very different hashes.
+exports.hash = function (string) {
+  var hash = 0x811c9dc5;
+  string = String(string);
+  for (var i = 0; i < string.length; i++) {
+    hash = multiply(hash ^ string.charCodeAt(i), 0x01000193);
+  }
+  hash = multiply(hash ^ (hash >>> 16), 0x85ebca6b);
+  hash = multiply(hash ^ (hash >>> 13), 0xc2b2ae35);
+  return (hash ^ (hash >>> 16)) >>> 0;
+};
+
+// Multiply two 32-bit integers, keeping the low 32 bits like C would, since
+// plain multiplication loses precision past 2^53.
+function multiply (a, b) {
+  return ((a & 0xffff) * b + ((((a >>> 16) * b) & 0xffff) << 16)) | 0;
+}
+
+// Check whether the browser is sending a Do Not Track header, which every
+// browser exposes slightly differently.
+exports.doNotTrack = function () {
+  var setting = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+  return setting === '1' || setting === 'yes';
+};
+
 // Email detection helper to loosely validate emails.
 exports.isEmail = function (string) {
   return (/.+\@.+\..+/).test(string);
@@ -143,6 +181,67 @@ exports.getUrlParameter = function (urlSearchParameter, paramKey) {
   }
 };
 
+// Find the canonical URL for the current page from its
+// `<link rel="canonical">` tag, if it has one.
+var canonicalUrl = exports.canonicalUrl = function () {
+  var links = document.getElementsByTagName('link');
+  for (var i = 0; i < links.length; i += 1) {
+    if (links[i].getAttribute('rel') === 'canonical') {
+      return url.parse(links[i].getAttribute('href')).href;
+    }
+  }
+};
+
+// Build a dictionary describing the current page, for `context.page`. The
+// `url`, `path` and `search` come from the canonical URL when the page has
+// one, so that query strings it leaves out don't sneak back in.
+exports.pageContext = function () {
+  var canonical = canonicalUrl()
+    , source    = canonical ? url.parse(canonical) : window.location;
+  return {
+    url      : canonical || window.location.href,
+    path     : source.pathname,
+    title    : document.title,
+    referrer : document.referrer,
+    search   : source.search
+  };
+};
+
+// The UTM parameters we look for in the URL, and the keys they're stored
+// under in `context.campaign`.
+var campaignParameters = {
+  utm_source   : 'source',
+  utm_medium   : 'medium',
+  utm_campaign : 'name',
+  utm_term     : 'term',
+  utm_content  : 'content'
+};
+
+// Pull the UTM campaign parameters out of a parsed query string. Returns
+// `undefined` if there aren't any.
+exports.campaign = function (queries) {
+  var campaign;
+  each(campaignParameters, function (parameter, key) {
+    if (!queries[parameter]) return;
+    campaign || (campaign = {});
+    campaign[key] = queries[parameter];
+  });
+  return campaign;
+};
+
+// Turn a `campaign` into traits, with each key prefixed by `touch`, which is
+// either `'first'` or `'last'`. For example `{ source : 'newsletter' }`
+// becomes `{ firstUtmSource : 'newsletter' }`.
+exports.campaignTraits = function (campaign, touch) {
+  var traits = {};
+  each(campaignParameters, function (parameter, key) {
+    if (campaign[key] === undefined) return;
+    var name = parameter.replace('utm_', '');
+    traits[touch + 'Utm' + name.charAt(0).toUpperCase() + name.slice(1)] = campaign[key];
+  });
+  return traits;
+};
+
 // Uses the context to determine if a provider is enabled
 exports.isEnabled = function (provider, context) {
   // if there is no context, then the provider is enabled
@@ -162,4 +261,56 @@ exports.isEnabled = function (provider, context) {
       return map[provider.name];
   else
       return all;
-};
\ No newline at end of file
+};
+
+// Uses a provider's `events` option to determine if it should get `event`.
+// Its `include` and `exclude` options are each an event name, a regular
+// expression, or a list of either.
+exports.isEventEnabled = function (provider, event) {
+  var events = provider.options && provider.options.events;
+  if (!isObject(events)) return true;
+
+  if (events.include && !matchesEvent(events.include, event)) return false;
+  if (events.exclude && matchesEvent(events.exclude, event)) return false;
+  return true;
+};
+
+// Uses a provider's `events.rename` option, either a dictionary of event
+// names or a function, to get the name it should track `event` as.
+exports.renameEvent = function (provider, event) {
+  var events = provider.options && provider.options.events;
+  if (!isObject(events) || !events.rename) return event;
+
+  var rename = events.rename;
+  if (type(rename) === 'function') return rename(event) || event;
+  return rename.hasOwnProperty(event) ? rename[event] : event;
+};
+
+function matchesEvent (patterns, event) {
+  if (type(patterns) !== 'array') patterns = [patterns];
+
+  for (var i = 0; i < patterns.length; i++) {
+    var pattern = patterns[i];
+    if (type(pattern) === 'regexp' ? pattern.test(event) : pattern === event) return true;
+  }
+  return false;
+}
+
+// Uses a provider's `sampleRate` option, a percentage like GA's
+// `siteSpeedSampleRate`, to determine if it should get a `message`. Visitors
+// are sampled by a hash of their anonymous ID, so that each one is either
+// always sent or never sent. If `sampleBy` is `'event'`, each track and page
+// call is sampled on its own instead.
+exports.isSampled = function (provider, message) {
+  var options = provider.options || {}
+    , rate    = options.sampleRate;
+
+  if (type(rate) !== 'number' || rate >= 100) return true;
+
+  if (options.sampleBy === 'event') {
+    if (message.type !== 'track' && message.type !== 'page') return true;
+    return Math.random() * 100 < rate;
+  }
+
+  return exports.hash(message.context.anonymousId) % 10000 < rate * 100;
+};
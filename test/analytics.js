@@ -36,59 +36,1449 @@ describe('Analytics.js', function () {
     });
 
     it('resets enabled providers and userId', function () {
+      analytics.initialize(options, { persist : false });
+      analytics.identify('user');
+
+      expect(analytics.providers.length).to.equal(1);
+      expect(analytics.userId).to.equal('user');
+
+      analytics.initialize(options, { persist : false });
+
+      expect(analytics.providers.length).to.equal(1);
+      expect(analytics.userId).to.be(null);
+    });
+
+    it('restores the persisted userId and traits', function () {
+      analytics.initialize(options);
+      analytics.identify('user', { name : 'Achilles' });
+      analytics.identify({ age : 23 });
+
+      var spy = sinon.spy(Provider.prototype, 'identify');
+      analytics.initialize(options);
+
+      expect(analytics.userId).to.equal('user');
+      expect(analytics.traits).to.eql({ name : 'Achilles', age : 23 });
+      expect(spy.calledWith('user', { name : 'Achilles', age : 23 })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('persists to localStorage', function () {
+      analytics.initialize(options, { storage : 'localStorage' });
+      analytics.identify('user', { name : 'Achilles' });
+
+      expect(window.localStorage.getItem('ajs_user_id')).to.equal('"user"');
+
+      analytics.initialize(options, { storage : 'localStorage' });
+      expect(analytics.userId).to.equal('user');
+      expect(analytics.traits).to.eql({ name : 'Achilles' });
+
+      window.localStorage.removeItem('ajs_user_id');
+      window.localStorage.removeItem('ajs_user_traits');
+    });
+
+    it('clears cached traits when a different user is identified', function () {
+      analytics.initialize(options);
+      analytics.identify('user', { name : 'Achilles' });
+      analytics.identify('other', { age : 23 });
+
+      expect(analytics.traits).to.eql({ age : 23 });
+    });
+  });
+
+
+  // Ready
+  // -----
+
+  describe('ready', function () {
+
+    it('calls callbacks on initialize after a timeout', function (done) {
+      // Turn off our current initialized state.
+      analytics.initialized = false;
+      analytics.isReady = false;
+
+      var spy1 = sinon.spy();
+      var spy2 = sinon.spy();
+
+      analytics.ready(spy1);
+      analytics.ready(spy2);
+      expect(spy1.called).to.be(false);
+      expect(spy2.called).to.be(false);
+
+      analytics.initialize(options);
+      expect(spy1.called).to.be(false);
+      expect(spy2.called).to.be(false);
+
+      setTimeout(function () {
+        expect(spy1.called).to.be(true);
+        expect(spy2.called).to.be(true);
+        done();
+      }, 250);
+    });
+
+    it('calls callbacks after the initialize event without any providers', function (done) {
+      analytics.initialized = false;
+      analytics.isReady = false;
+      var spy   = sinon.spy()
+        , event = sinon.spy();
+      analytics.ready(spy);
+      analytics.once('initialize', event);
+
+      analytics.initialize({});
+      expect(spy.called).to.be(false);
+
+      setTimeout(function () {
+        expect(spy.calledAfter(event)).to.be(true);
+        expect(spy.args[0][0].ready).to.eql([]);
+        analytics.initialize(options);
+        done();
+      }, 10);
+    });
+
+    it('calls callbacks immediately when already ready', function (done) {
+      analytics.initialize(options);
+      analytics.ready(function () {
+        var spy = sinon.spy();
+
+        analytics.ready(spy);
+        expect(spy.called).to.be(true);
+        done();
+      });
+    });
+
+    it('doesnt break on being passed a non-function', function () {
+      expect(function () {
+        analytics.ready('callback');
+      }).to.not.throwException();
+    });
+
+    var Stalled = Provider.extend({
+      initialize : function (options, ready) {}
+    });
+    analytics.addProvider('Stalled', Stalled);
+
+    var Failed = Provider.extend({
+      initialize : function (options, ready) {
+        setTimeout(function () { ready(new Error('Failed')); }, 10);
+      }
+    });
+    analytics.addProvider('Failed', Failed);
+
+    it('tracks the state of each provider', function (done) {
+      analytics.initialize(options);
+      expect(analytics.providerStatus()).to.eql({ 'Test' : 'loading' });
+
+      setTimeout(function () {
+        expect(analytics.providerStatus()).to.eql({ 'Test' : 'ready' });
+        done();
+      }, 250);
+    });
+
+    it('calls callbacks after the timeout when a provider doesnt load', function (done) {
+      analytics.initialized = false;
+      analytics.isReady = false;
+      var spy = sinon.spy();
+      analytics.ready(spy);
+
+      analytics.initialize({ 'Stalled' : 'x' }, { readyTimeout : 50 });
+      setTimeout(function () {
+        expect(spy.called).to.be(true);
+        expect(spy.args[0][0].timedOut).to.eql(['Stalled']);
+        expect(analytics.providerStatus()).to.eql({ 'Stalled' : 'timed out' });
+        analytics.initialize(options);
+        done();
+      }, 100);
+    });
+
+    it('passes callbacks a summary of the providers that failed', function (done) {
+      analytics.initialized = false;
+      analytics.isReady = false;
+      var spy   = sinon.spy()
+        , error = sinon.spy();
+      analytics.ready(spy);
+      analytics.on('error', error);
+
+      analytics.initialize({ 'Failed' : 'x', 'Test' : 'x' });
+      setTimeout(function () {
+        expect(spy.args[0][0]).to.eql({
+          ready    : ['Test'],
+          loading  : [],
+          failed   : ['Failed'],
+          timedOut : []
+        });
+        expect(analytics.providerStatus()['Failed']).to.equal('failed');
+        expect(error.calledWith(sinon.match.instanceOf(Error), 'Failed', 'initialize')).to.be(true);
+
+        analytics.off('error', error);
+        analytics.initialize(options);
+        done();
+      }, 250);
+    });
+
+    it('waits for providers when called after initialize', function (done) {
+      analytics.initialize({ 'Failed' : 'x' });
+      var spy = sinon.spy();
+
+      analytics.ready(spy);
+      expect(spy.called).to.be(false);
+      setTimeout(function () {
+        expect(spy.args[0][0].failed).to.eql(['Failed']);
+        analytics.initialize(options);
+        done();
+      }, 50);
+    });
+  });
+
+
+  // Queue
+  // -----
+
+  describe('queue', function () {
+
+    it('replays calls made before initialize', function () {
+      var identifySpy = sinon.spy(Provider.prototype, 'identify');
+      var trackSpy    = sinon.spy(Provider.prototype, 'track');
+
+      // Turn off our current initialized state.
+      analytics.initialized = false;
+
+      analytics.identify('id', { name : 'Achilles' });
+      analytics.track('party', { level : 'hard' });
+      expect(identifySpy.called).to.be(false);
+      expect(trackSpy.called).to.be(false);
+
+      analytics.initialize(options);
+      expect(identifySpy.calledWith('id', { name : 'Achilles' })).to.be(true);
+      expect(trackSpy.calledWith('party', { level : 'hard' })).to.be(true);
+      expect(identifySpy.calledBefore(trackSpy)).to.be(true);
+      expect(analytics.queue.length).to.equal(0);
+
+      identifySpy.restore();
+      trackSpy.restore();
+    });
+
+    it('drops calls past the queue size', function () {
+      var spy       = sinon.spy(Provider.prototype, 'track');
+      var queueSize = analytics.queueSize;
+
+      analytics.initialized = false;
+      analytics.queueSize = 2;
+
+      analytics.track('one');
+      analytics.track('two');
+      analytics.track('three');
+      expect(analytics.queue.length).to.equal(2);
+
+      analytics.initialize(options);
+      expect(spy.calledWith('one')).to.be(true);
+      expect(spy.calledWith('two')).to.be(true);
+      expect(spy.calledWith('three')).to.be(false);
+
+      analytics.queueSize = queueSize;
+      spy.restore();
+    });
+
+    var Slow = Provider.extend({
+      queueUntilReady : true,
+      initialize : function (options, ready) {
+        setTimeout(ready, 50);
+      }
+    });
+    analytics.addProvider('Slow', Slow);
+
+    it('queues calls to a provider until it is ready', function (done) {
+      analytics.initialize({ 'Slow' : 'x' });
+      var identifySpy = sinon.spy(Slow.prototype, 'identify');
+      var trackSpy    = sinon.spy(Slow.prototype, 'track');
+
+      analytics.identify('user');
+      analytics.track('party');
+      expect(identifySpy.called).to.be(false);
+      expect(trackSpy.called).to.be(false);
+
+      setTimeout(function () {
+        expect(identifySpy.calledWith('user')).to.be(true);
+        expect(trackSpy.calledWith('party')).to.be(true);
+        expect(identifySpy.calledBefore(trackSpy)).to.be(true);
+
+        analytics.track('party');
+        expect(trackSpy.calledTwice).to.be(true);
+
+        identifySpy.restore();
+        trackSpy.restore();
+        analytics.initialize(options);
+        done();
+      }, 100);
+    });
+
+    var Unreachable = Provider.extend({
+      queueUntilReady : true,
+      initialize : function (options, ready) {
+        setTimeout(function () { ready(new Error('Unreachable')); }, 50);
+      }
+    });
+    analytics.addProvider('Unreachable', Unreachable);
+
+    it('drops queued calls when a provider fails to load', function (done) {
+      analytics.initialize({ 'Unreachable' : 'x' });
+      var spy = sinon.spy(Unreachable.prototype, 'track');
+
+      analytics.track('party');
+      setTimeout(function () {
+        expect(spy.called).to.be(false);
+        spy.restore();
+        analytics.initialize(options);
+        done();
+      }, 100);
+    });
+
+    it('drops calls to a provider past the queue size', function () {
+      var queueSize = analytics.queueSize;
+      analytics.queueSize = 2;
+      analytics.initialize({ 'Slow' : 'x' });
+      var provider = analytics.providers[0];
+
+      analytics.track('one');
+      analytics.track('two');
+      analytics.track('three');
+      expect(provider.queue.length).to.equal(2);
+
+      analytics.queueSize = queueSize;
+      analytics.initialize(options);
+    });
+
+    var Fragile = Provider.extend({
+      queueUntilReady : true,
+      initialize : function (options, ready) {
+        setTimeout(ready, 50);
+      },
+      track : function (event, properties) {
+        throw new Error('Fragile');
+      }
+    });
+    analytics.addProvider('Fragile', Fragile);
+
+    it('reports errors from queued calls once a provider is ready', function (done) {
+      var error = sinon.spy();
+      analytics.on('error', error);
+      analytics.initialize({ 'Fragile' : 'x' });
+
+      analytics.track('party');
+      expect(error.called).to.be(false);
+      setTimeout(function () {
+        expect(error.calledWith(sinon.match.instanceOf(Error), 'Fragile', 'track')).to.be(true);
+        expect(analytics.providers[0].degraded).to.be(true);
+        expect(analytics.providerStatus()).to.eql({ 'Fragile' : 'failed' });
+
+        analytics.off('error', error);
+        analytics.initialize(options);
+        done();
+      }, 100);
+    });
+  });
+
+
+  // Events
+  // ------
+
+  describe('events', function () {
+
+    it('emits initialize and ready', function (done) {
+      var initializeSpy = sinon.spy();
+      var readySpy      = sinon.spy();
+      analytics.once('initialize', initializeSpy);
+      analytics.once('ready', readySpy);
+
+      analytics.initialize(options);
+      expect(initializeSpy.calledWith(options)).to.be(true);
+      expect(readySpy.called).to.be(false);
+
+      setTimeout(function () {
+        expect(readySpy.called).to.be(true);
+        done();
+      }, 250);
+    });
+
+    it('emits providerReady for each provider', function (done) {
+      var spy = sinon.spy();
+      analytics.once('providerReady', spy);
+
+      analytics.initialize(options);
+
+      setTimeout(function () {
+        expect(spy.calledWith('Test')).to.be(true);
+        done();
+      }, 250);
+    });
+
+    it('emits identify with normalized arguments', function () {
+      var spy = sinon.spy();
+      analytics.on('identify', spy);
+
+      analytics.identify('id', { name : 'Achilles' });
+      expect(spy.calledWith('id', { name : 'Achilles' })).to.be(true);
+
+      spy.reset();
+      analytics.identify({ age : 23 });
+      expect(spy.calledWith('id', { age : 23 })).to.be(true);
+
+      analytics.off('identify', spy);
+    });
+
+    it('emits track, page and alias', function () {
+      var trackSpy = sinon.spy();
+      var pageSpy  = sinon.spy();
+      var aliasSpy = sinon.spy();
+      analytics.once('track', trackSpy);
+      analytics.once('page', pageSpy);
+      analytics.once('alias', aliasSpy);
+
+      analytics.track('party', { level : 'hard' });
+      analytics.page('Docs', 'Setup', { path : '/docs/setup' });
+      analytics.alias('new', 'old');
+
+      expect(trackSpy.calledWith('party', { level : 'hard' })).to.be(true);
+      expect(pageSpy.calledWith('Docs', 'Setup', { path : '/docs/setup' })).to.be(true);
+      expect(aliasSpy.calledWith('new', 'old')).to.be(true);
+    });
+
+    it('emits pageview and page for pageview', function () {
+      var pageviewSpy = sinon.spy();
+      var pageSpy     = sinon.spy();
+      analytics.once('pageview', pageviewSpy);
+      analytics.once('page', pageSpy);
+
+      analytics.pageview('/url');
+      expect(pageviewSpy.calledWith('/url')).to.be(true);
+      expect(pageSpy.calledWith(null, null, { path : '/url' })).to.be(true);
+    });
+
+    it('stops emitting after off', function () {
+      var spy = sinon.spy();
+      analytics.on('track', spy);
+      analytics.off('track', spy);
+
+      analytics.track('party');
+      expect(spy.called).to.be(false);
+    });
+  });
+
+
+  // Errors
+  // ------
+
+  describe('errors', function () {
+
+    var Broken = Provider.extend({
+      track : function (event, properties) {
+        throw new Error('Broken');
+      }
+    });
+    analytics.addProvider('Broken', Broken);
+
+    var Unloadable = Provider.extend({
+      initialize : function (options, ready) {
+        throw new Error('Unloadable');
+      }
+    });
+    analytics.addProvider('Unloadable', Unloadable);
+
+    it('keeps calling other providers when one throws', function () {
+      analytics.initialize({ 'Broken' : 'x', 'Test' : 'x' });
+      var spy   = sinon.spy(Provider.prototype, 'track');
+      var error = sinon.spy();
+      analytics.on('error', error);
+
+      analytics.track('party');
+      expect(spy.calledWith('party')).to.be(true);
+      expect(error.calledWith(sinon.match.instanceOf(Error), 'Broken', 'track')).to.be(true);
+
+      analytics.off('error', error);
+      spy.restore();
+    });
+
+    it('marks the provider as degraded and stops calling it', function () {
+      analytics.initialize({ 'Broken' : 'x', 'Test' : 'x' });
+      var spy = sinon.spy(Broken.prototype, 'track');
+
+      analytics.track('party');
+      expect(analytics.providers[0].degraded).to.be(true);
+      expect(analytics.providers[1].degraded).to.be(false);
+      expect(analytics.providerStatus()['Broken']).to.equal('failed');
+
+      analytics.track('party');
+      expect(spy.calledOnce).to.be(true);
+
+      spy.restore();
+    });
+
+    it('leaves out providers that throw while initializing', function (done) {
+      var error = sinon.spy();
+      var ready = sinon.spy();
+      analytics.on('error', error);
+      analytics.once('ready', ready);
+
+      analytics.initialize({ 'Unloadable' : 'x', 'Test' : 'x' });
+      expect(analytics.providers.length).to.equal(1);
+      expect(error.calledWith(sinon.match.instanceOf(Error), 'Unloadable', 'initialize')).to.be(true);
+
+      analytics.off('error', error);
+      setTimeout(function () {
+        expect(ready.called).to.be(true);
+        analytics.initialize(options);
+        done();
+      }, 250);
+    });
+  });
+
+
+  // Middleware
+  // ----------
+
+  describe('use', function () {
+
+    afterEach(function () {
+      analytics.middleware = [];
+      analytics.providerMiddleware = {};
+    });
+
+    it('passes messages through middleware', function () {
+      var spy        = sinon.spy(Provider.prototype, 'track');
+      var middleware = sinon.spy();
+      analytics.use(middleware);
+
+      analytics.track('party', { level : 'hard' });
+      expect(middleware.calledWith(sinon.match({
+        type       : 'track',
+        event      : 'party',
+        properties : { level : 'hard' }
+      }))).to.be(true);
+      expect(spy.calledWith('party', { level : 'hard' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('lets middleware change messages', function () {
+      var spy = sinon.spy(Provider.prototype, 'identify');
+      analytics.use(function (message) {
+        delete message.traits.ssn;
+      });
+
+      analytics.identify('id', { name : 'Achilles', ssn : '123-45-6789' });
+      expect(spy.calledWith('id', { name : 'Achilles' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('lets middleware replace messages', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      analytics.use(function (message) {
+        return extend({}, message, { event : 'Party' });
+      });
+
+      analytics.track('party');
+      expect(spy.calledWith('Party')).to.be(true);
+
+      spy.restore();
+    });
+
+    it('lets middleware drop messages', function () {
+      var spy   = sinon.spy(Provider.prototype, 'track');
+      var event = sinon.spy();
+      analytics.on('track', event);
+      analytics.use(function (message) {
+        if (message.event === 'bot') return false;
+      });
+
+      analytics.track('bot');
+      expect(spy.called).to.be(false);
+      expect(event.called).to.be(false);
+
+      analytics.track('party');
+      expect(spy.calledWith('party')).to.be(true);
+
+      analytics.off('track', event);
+      spy.restore();
+    });
+
+    it('only stores traits that made it through middleware', function () {
+      analytics.clearStorage();
+      analytics.initialize(options);
+      analytics.use(function (message) {
+        if (message.traits) delete message.traits.ssn;
+      });
+
+      analytics.identify('id', { name : 'Achilles', ssn : '123-45-6789' });
+      analytics.group('group', { name : 'Olympus', ssn : '987-65-4321' });
+      expect(analytics.traits).to.eql({ name : 'Achilles' });
+      expect(analytics.storage.get('ajs_user_traits')).to.eql({ name : 'Achilles' });
+      expect(analytics.storage.get('ajs_group_traits')).to.eql({ name : 'Olympus' });
+    });
+
+    it('stores nothing for identifies and groups middleware drops', function () {
+      analytics.clearStorage();
+      analytics.initialize(options);
+      var spy = sinon.spy(Provider.prototype, 'alias');
+      analytics.use(function () {
+        return false;
+      });
+
+      analytics.identify('id', { name : 'Achilles' });
+      analytics.group('group', { name : 'Olympus' });
+      expect(analytics.userId).to.be(null);
+      expect(analytics.groupId).to.be(null);
+      expect(analytics.storage.get('ajs_user_id')).to.be(null);
+      expect(analytics.storage.get('ajs_group_id')).to.be(null);
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+
+    it('runs provider middleware after global middleware', function () {
+      var spy    = sinon.spy(Provider.prototype, 'track');
+      var global = sinon.spy();
+      var local  = sinon.spy(function (message) {
+        message.event = 'Party';
+      });
+      analytics.use('Test', local);
+      analytics.use(global);
+
+      analytics.track('party');
+      expect(global.calledBefore(local)).to.be(true);
+      expect(spy.calledWith('Party')).to.be(true);
+
+      spy.restore();
+    });
+
+    it('only runs provider middleware for that provider', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      analytics.use('Other', function () {
+        return false;
+      });
+
+      analytics.track('party');
+      expect(spy.calledWith('party')).to.be(true);
+
+      spy.restore();
+    });
+  });
+
+
+  // Debug
+  // -----
+
+  describe('debug', function () {
+
+    afterEach(function () {
+      analytics.debug(false);
+    });
+
+    it('logs each call and the providers it was sent to', function () {
+      var logger = sinon.spy();
+      analytics.debug(true, logger);
+
+      analytics.track('party', { level : 'hard' });
+      expect(logger.calledWith('analytics', 'track', sinon.match({ event : 'party' }))).to.be(true);
+      expect(logger.calledWith('analytics:Test', 'called track', sinon.match.array)).to.be(true);
+    });
+
+    it('logs providers that were skipped', function () {
+      var logger = sinon.spy();
+      analytics.debug(true, logger);
+
+      analytics.track('party', {}, { providers : { Test : false } });
+      expect(logger.calledWith('analytics:Test', 'skipped track, since it is disabled in context.providers')).to.be(true);
+    });
+
+    it('only logs the namespaces that are turned on', function () {
+      var logger = sinon.spy();
+      analytics.debug('analytics:T*', logger);
+
+      analytics.track('party');
+      expect(logger.calledWith('analytics')).to.be(false);
+      expect(logger.calledWith('analytics:Test')).to.be(true);
+    });
+
+    it('stops logging when turned off', function () {
+      var logger = sinon.spy();
+      analytics.debug(true, logger);
+      analytics.debug(false);
+
+      analytics.track('party');
+      expect(logger.called).to.be(false);
+    });
+
+    it('remembers debug mode in localStorage', function () {
+      analytics.debug('analytics');
+      expect(window.localStorage.getItem('ajs_debug')).to.equal('"analytics"');
+
+      analytics.debug(false);
+      expect(window.localStorage.getItem('ajs_debug')).to.be(null);
+    });
+  });
+
+
+  // Tracking Plan
+  // -------------
+
+  describe('tracking plan', function () {
+
+    var plan = {
+      events : {
+        'Signed Up' : {
+          plan  : { type : 'string', required : true },
+          seats : 'number'
+        }
+      },
+      traits : {
+        email : 'string'
+      }
+    };
+
+    afterEach(function () {
+      analytics.initialize(options);
+    });
+
+    it('emits violations but still sends calls in warn mode', function () {
+      analytics.initialize(options, { plan : plan });
+      var spy       = sinon.spy(Provider.prototype, 'track');
+      var violation = sinon.spy();
+      analytics.once('violation', violation);
+
+      analytics.track('signup');
+      expect(violation.calledWith([{
+        method  : 'track',
+        event   : 'signup',
+        message : 'Unplanned event "signup"'
+      }])).to.be(true);
+      expect(spy.calledWith('signup')).to.be(true);
+
+      spy.restore();
+    });
+
+    it('checks required and typed properties', function () {
+      analytics.initialize(options, { plan : plan });
+      var violation = sinon.spy();
+      analytics.on('violation', violation);
+
+      analytics.track('Signed Up', { plan : 'Startup', seats : 3 });
+      expect(violation.called).to.be(false);
+
+      analytics.track('Signed Up', { seats : '3', color : 'red' });
+      var messages = [];
+      for (var i = 0; i < violation.args[0][0].length; i++) {
+        messages.push(violation.args[0][0][i].message);
+      }
+      expect(messages).to.eql([
+        'Unplanned property "color"',
+        'Missing required property "plan"',
+        'Property "seats" should be a number, not a string'
+      ]);
+
+      analytics.off('violation', violation);
+    });
+
+    it('checks traits', function () {
+      analytics.initialize(options, { plan : plan });
+      var violation = sinon.spy();
+      analytics.on('violation', violation);
+
+      analytics.identify('id', { email : 'achilles@example.com' });
+      expect(violation.called).to.be(false);
+
+      analytics.identify('id', { age : 23 });
+      expect(violation.args[0][0][0].trait).to.equal('age');
+
+      analytics.off('violation', violation);
+    });
+
+    it('drops calls in drop mode', function (done) {
+      analytics.initialize(options, { plan : extend({ mode : 'drop' }, plan) });
+      var spy      = sinon.spy(Provider.prototype, 'identify');
+      var callback = sinon.spy();
+
+      analytics.identify('id', { weapon : 'spear' }, callback);
+      expect(spy.called).to.be(false);
+      expect(analytics.traits.weapon).to.be(undefined);
+
+      spy.restore();
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        done();
+      }, 10);
+    });
+
+    it('throws in strict mode', function () {
+      analytics.initialize(options, { plan : extend({ mode : 'strict' }, plan) });
+
+      expect(function () {
+        analytics.track('signup');
+      }).to.throwError(/Unplanned event "signup"/);
+    });
+
+    it('finishes replaying the queue before throwing in strict mode', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      analytics.initialized = false;
+
+      analytics.track('signup');
+      analytics.track('Signed Up', { plan : 'Startup' });
+
+      expect(function () {
+        analytics.initialize(options, { plan : extend({ mode : 'strict' }, plan) });
+      }).to.throwError(/Unplanned event "signup"/);
+      expect(spy.calledWith('Signed Up', { plan : 'Startup' })).to.be(true);
+      expect(analytics.queue.length).to.equal(0);
+
+      spy.restore();
+    });
+
+    it('still follows tracked links in strict mode', function (done) {
+      analytics.initialize(options, { plan : extend({ mode : 'strict' }, plan) });
+      var link = $('<a href="#strict">')[0];
+
+      // Make sure hash is reset.
+      window.location.hash = '';
+
+      analytics.trackLink(link, 'signup');
+      triggerClick(link);
+
+      setTimeout(function () {
+        expect(window.location.hash).to.equal('#strict');
+        done();
+      }, analytics.timeout);
+    });
+  });
+
+
+  // Consent
+  // -------
+
+  describe('consent', function () {
+
+    var Marketing = Provider.extend({
+      category : 'marketing',
+      track    : function (event, properties) {}
+    });
+    analytics.addProvider('Marketing', Marketing);
+
+    afterEach(function () {
+      analytics.consented = {};
+      analytics.cookies.remove('ajs_consent');
+      analytics.initialize(options);
+    });
+
+    it('holds back providers until their category is granted', function () {
+      var spy = sinon.spy(Marketing.prototype, 'initialize');
+      analytics.initialize({ 'Test' : 'x', 'Marketing' : 'x' }, { requireConsent : true });
+
+      expect(analytics.providers.length).to.equal(0);
+      expect(spy.called).to.be(false);
+
+      analytics.consent({ marketing : true });
+      expect(analytics.providers.length).to.equal(1);
+      expect(spy.called).to.be(true);
+
+      spy.restore();
+    });
+
+    it('sends queued calls once consent is granted', function () {
+      var spy = sinon.spy(Marketing.prototype, 'track');
+      analytics.initialize({ 'Marketing' : 'x' }, { requireConsent : true });
+
+      analytics.track('party');
+      expect(spy.called).to.be(false);
+
+      analytics.consent({ marketing : true });
+      expect(spy.calledWith('party')).to.be(true);
+
+      spy.restore();
+    });
+
+    it('drops calls without queueUntilConsent', function () {
+      var spy = sinon.spy(Marketing.prototype, 'track');
+      analytics.initialize({ 'Marketing' : 'x' }, {
+        requireConsent    : true,
+        queueUntilConsent : false
+      });
+
+      analytics.track('party');
+      analytics.consent({ marketing : true });
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+
+    it('lets providers change their category', function () {
+      analytics.initialize({
+        'Marketing' : { key : 'x', category : 'analytics' }
+      }, { requireConsent : true });
+
+      analytics.consent({ analytics : true });
+      expect(analytics.providers.length).to.equal(1);
+
+      delete analytics.providers[0].options.category;
+    });
+
+    it('stops calling providers and clears storage when revoked', function () {
+      var spy = sinon.spy(Marketing.prototype, 'track');
+      analytics.initialize({ 'Test' : 'x', 'Marketing' : 'x' });
+      analytics.identify('id', { name : 'Achilles' });
+
+      analytics.consent({ marketing : false });
+      expect(analytics.providers.length).to.equal(1);
+      expect(analytics.userId).to.be(null);
+      expect(analytics.storage.get('ajs_user_id')).to.be(null);
+      expect(analytics.storage.get('ajs_user_traits')).to.be(null);
+
+      analytics.track('party');
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+
+    it('keeps everything in memory until a category is granted', function () {
+      analytics.clearStorage();
+      analytics.cookies.remove('ajs_opt_out');
+      analytics.initialize({ 'Marketing' : 'x' }, { requireConsent : true });
+
+      analytics.identify('id', { name : 'Achilles' });
+      analytics.track('party');
+      expect(document.cookie).not.to.match(/(^|; )ajs_/);
+
+      var anonymousId = analytics.anonymousId();
+      analytics.consent({ marketing : true });
+      expect(analytics.storage.get('ajs_user_id')).to.equal('id');
+      expect(analytics.storage.get('ajs_anonymous_id')).to.equal(anonymousId);
+
+      analytics.consent({ marketing : false });
+      analytics.identify('id', { name : 'Achilles' });
+      analytics.track('party');
+      expect(document.cookie).not.to.match(/(^|; )ajs_(?!consent=)/);
+    });
+
+    it('doesnt send calls made while consent was revoked', function () {
+      var spy = sinon.spy(Marketing.prototype, 'track');
+      analytics.initialize({ 'Marketing' : 'x' });
+
+      analytics.consent({ marketing : false });
+      analytics.track('party');
+      analytics.consent({ marketing : true });
+      expect(spy.called).to.be(false);
+      expect(analytics.consentQueue).to.eql([]);
+
+      spy.restore();
+    });
+
+    it('calls the same providers again once granted again', function () {
+      var spy = sinon.spy(Marketing.prototype, 'initialize');
+      analytics.initialize({ 'Marketing' : 'x' });
+      var provider = analytics.providers[0];
+
+      analytics.consent({ marketing : false });
+      analytics.consent({ marketing : true });
+      expect(analytics.providers.length).to.equal(1);
+      expect(analytics.providers[0]).to.be(provider);
+      expect(spy.calledOnce).to.be(true);
+
+      spy.restore();
+    });
+
+    it('emits ready again once providers granted later have loaded', function (done) {
+      var spy = sinon.spy();
+      analytics.initialize({ 'Marketing' : 'x' }, { requireConsent : true });
+
+      analytics.on('ready', spy);
+      analytics.consent({ marketing : true });
+      expect(analytics.providerStatus()).to.eql({ 'Marketing' : 'loading' });
+
+      setTimeout(function () {
+        expect(spy.lastCall.args[0].ready).to.eql(['Marketing']);
+        analytics.off('ready', spy);
+        done();
+      }, 250);
+    });
+
+    it('remembers consent across page loads', function () {
+      var spy = sinon.spy();
+      analytics.once('consent', spy);
+
+      analytics.consent({ analytics : true });
+      expect(spy.calledWith({ analytics : true })).to.be(true);
+
+      analytics.consented = {};
+      analytics.initialize({ 'Test' : 'x' }, { requireConsent : true });
+      expect(analytics.consent()).to.eql({ analytics : true });
+      expect(analytics.providers.length).to.equal(1);
+    });
+  });
+
+
+  // Opt Out
+  // -------
+
+  describe('optOut', function () {
+
+    afterEach(function () {
+      analytics.cookies.remove('ajs_opt_out');
+      analytics.initialize(options);
+    });
+
+    it('stops calling providers and emits optOut', function () {
+      var spy    = sinon.spy(Provider.prototype, 'track');
+      var optOut = sinon.spy();
+      analytics.once('optOut', optOut);
+
+      analytics.optOut();
+      analytics.track('party');
+
+      expect(optOut.called).to.be(true);
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+
+    it('still calls callbacks', function (done) {
+      analytics.optOut();
+      analytics.track('party', {}, function () {
+        done();
+      });
+    });
+
+    it('clears storage and stores nothing else', function () {
+      analytics.identify('id', { name : 'Achilles' });
+      analytics.optOut();
+      analytics.identify('id', { name : 'Achilles' });
+
+      expect(analytics.cookies.get('ajs_user_id')).to.be(null);
+      expect(analytics.cookies.get('ajs_opt_out')).to.be(true);
+    });
+
+    it('skips loading providers on initialize', function () {
+      var spy = sinon.spy(Provider.prototype, 'initialize');
+      analytics.optOut();
+
+      analytics.initialize(options);
+      expect(spy.called).to.be(false);
+      expect(analytics.providers.length).to.equal(0);
+
+      spy.restore();
+    });
+
+    it('loads providers again on optIn', function () {
+      var spy   = sinon.spy(Provider.prototype, 'track');
+      var optIn = sinon.spy();
+      analytics.once('optIn', optIn);
+      analytics.optOut();
       analytics.initialize(options);
-      analytics.identify('user');
 
+      analytics.optIn();
+      analytics.track('party');
+      expect(optIn.called).to.be(true);
       expect(analytics.providers.length).to.equal(1);
-      expect(analytics.userId).to.equal('user');
+      expect(spy.calledWith('party')).to.be(true);
 
+      spy.restore();
+    });
+
+    it('calls the same providers again on optIn after optOut', function () {
+      var spy = sinon.spy(Provider.prototype, 'initialize');
       analytics.initialize(options);
+      var provider = analytics.providers[0];
 
+      analytics.optOut();
+      expect(analytics.providers.length).to.equal(0);
+      analytics.optIn();
       expect(analytics.providers.length).to.equal(1);
-      expect(analytics.userId).to.be(null);
+      expect(analytics.providers[0]).to.be(provider);
+      expect(spy.calledOnce).to.be(true);
+
+      spy.restore();
+    });
+
+    it('respects Do Not Track with the respectDoNotTrack option', function () {
+      window.doNotTrack = '1';
+
+      analytics.initialize(options);
+      expect(analytics.isOptedOut()).to.be(false);
+
+      analytics.initialize(options, { respectDoNotTrack : true });
+      expect(analytics.isOptedOut()).to.be(true);
+      expect(analytics.providers.length).to.equal(0);
+
+      // Opting in overrides Do Not Track.
+      analytics.optIn();
+      expect(analytics.isOptedOut()).to.be(false);
+
+      window.doNotTrack = undefined;
     });
   });
 
 
-  // Ready
-  // -----
+  // Instances
+  // ---------
 
-  describe('ready', function () {
+  describe('instances', function () {
 
-    it('calls callbacks on initialize after a timeout', function (done) {
-      // Turn off our current initialized state.
-      analytics.initialized = false;
+    var Analytics = analytics.constructor;
 
-      var spy1 = sinon.spy();
-      var spy2 = sinon.spy();
+    it('keeps providers and state to each instance', function () {
+      analytics.initialize(options);
+      analytics.identify('user');
 
-      analytics.ready(spy1);
-      analytics.ready(spy2);
-      expect(spy1.called).to.be(false);
-      expect(spy2.called).to.be(false);
+      var other = new Analytics({ 'Test' : Provider }, { persist : false });
+      other.initialize({ 'Test' : 'y' });
+      other.identify('other', { name : 'Patroclus' });
+      other.register({ widget : true });
 
+      expect(other.providers.length).to.equal(1);
+      expect(other.providers[0]).not.to.be(analytics.providers[0]);
+      expect(analytics.userId).to.equal('user');
+      expect(analytics.traits).not.to.have.property('name');
+      expect(analytics.superProperties).not.to.have.property('widget');
+    });
+
+    it('keeps provider options to each instance', function () {
       analytics.initialize(options);
-      expect(spy1.called).to.be(false);
-      expect(spy2.called).to.be(false);
+      var other = new Analytics({ 'Test' : Provider });
+      other.initialize({ 'Test' : 'y' });
 
-      setTimeout(function () {
-        expect(spy1.called).to.be(true);
-        expect(spy2.called).to.be(true);
-        done();
-      }, 250);
+      expect(analytics.providers[0].options.key).to.equal('x');
+      expect(other.providers[0].options.key).to.equal('y');
+      expect(Provider.prototype.options).to.eql({});
     });
 
-    it('calls callbacks immediately when already initialized', function () {
-      var spy = sinon.spy();
+    it('names providers without changing the original', function () {
+      var other = new Analytics({ 'Other Test' : Provider });
 
-      analytics.ready(spy);
-      expect(spy.called).to.be(true);
+      expect(Provider.prototype.hasOwnProperty('name')).to.be(false);
+      expect(analytics.initializableProviders['Test'].prototype.name).to.equal('Test');
+      expect(other.initializableProviders['Other Test'].prototype.name).to.equal('Other Test');
     });
 
-    it('doesnt break on being passed a non-function', function () {
+    it('stores state under its namespace', function () {
+      var other = new Analytics({ 'Test' : Provider }, {
+        namespace : 'widget',
+        storage   : 'localStorage'
+      });
+      other.initialize({ 'Test' : 'y' });
+      other.identify('other');
+
+      expect(window.localStorage.getItem('widget_ajs_user_id')).to.equal('"other"');
+      expect(window.localStorage.getItem('ajs_user_id')).to.be(null);
+
+      other.clearStorage();
+    });
+  });
+
+
+  // Context
+  // -------
+
+  describe('context', function () {
+
+    it('adds the page to every call', function () {
+      var trackSpy    = sinon.spy(Provider.prototype, 'track');
+      var pageviewSpy = sinon.spy(Provider.prototype, 'pageview');
+      var page = {
+        url      : window.location.href,
+        path     : window.location.pathname,
+        title    : document.title,
+        referrer : document.referrer,
+        search   : window.location.search
+      };
+
+      analytics.track('party');
+      analytics.pageview();
+      expect(trackSpy.args[0][2].page).to.eql(page);
+      expect(pageviewSpy.args[0][1].page).to.eql(page);
+
+      trackSpy.restore();
+      pageviewSpy.restore();
+    });
+
+    it('uses the canonical url', function () {
+      var spy   = sinon.spy(Provider.prototype, 'track');
+      var $link = $('<link rel="canonical" href="http://example.com/a-thing">').appendTo('head');
+
+      analytics.track('party');
+      expect(spy.args[0][2].page.url).to.equal('http://example.com/a-thing');
+      expect(spy.args[0][2].page.path).to.equal('/a-thing');
+      expect(spy.args[0][2].page.search).to.equal('');
+
+      $link.remove();
+      spy.restore();
+    });
+
+    it('adds utm parameters to the context and traits', function () {
+      var spy  = sinon.spy(Provider.prototype, 'track');
+      var href = window.location.href;
+      window.history.replaceState(null, '', '?utm_source=newsletter&utm_campaign=spring');
+
+      analytics.initialize(options, { persist : false });
+      analytics.track('party');
+      expect(spy.args[0][2].campaign).to.eql({
+        source : 'newsletter',
+        name   : 'spring'
+      });
+      expect(analytics.traits).to.eql({
+        firstUtmSource   : 'newsletter',
+        firstUtmCampaign : 'spring',
+        lastUtmSource    : 'newsletter',
+        lastUtmCampaign  : 'spring'
+      });
+
+      window.history.replaceState(null, '', href);
+      spy.restore();
+    });
+
+    it('keeps the first touch campaign', function () {
+      var href = window.location.href;
+
+      window.history.replaceState(null, '', '?utm_source=newsletter');
+      analytics.initialize(options);
+      window.history.replaceState(null, '', '?utm_source=twitter');
+      analytics.initialize(options);
+
+      expect(analytics.traits.firstUtmSource).to.equal('newsletter');
+      expect(analytics.traits.lastUtmSource).to.equal('twitter');
+      expect(analytics.campaign).to.eql({ source : 'twitter' });
+
+      window.history.replaceState(null, '', href);
+    });
+
+    it('never mixes campaigns', function () {
+      var href = window.location.href;
+
+      analytics.clearStorage();
+      window.history.replaceState(null, '', '?utm_source=newsletter');
+      analytics.initialize(options);
+      window.history.replaceState(null, '', '?utm_source=twitter&utm_campaign=spring&utm_term=shoes');
+      analytics.initialize(options);
+      window.history.replaceState(null, '', '?utm_source=google');
+      analytics.initialize(options);
+
+      expect(analytics.traits).to.eql({
+        firstUtmSource : 'newsletter',
+        lastUtmSource  : 'google'
+      });
+
+      window.history.replaceState(null, '', href);
+    });
+
+    it('lets the page be overridden', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.track('party', {}, { page : { title : 'Party' } });
+      expect(spy.args[0][2].page.title).to.equal('Party');
+      expect(spy.args[0][2].page.path).to.equal(window.location.pathname);
+
+      spy.restore();
+    });
+  });
+
+
+  // URL Parameters
+  // --------------
+
+  describe('url parameters', function () {
+
+    var href = window.location.href;
+
+    afterEach(function () {
+      window.history.replaceState(null, '', href);
+      analytics.initialize(options);
+    });
+
+    it('identifies a user with traits', function () {
+      var spy = sinon.spy(Provider.prototype, 'identify');
+      window.history.replaceState(null, '', '?ajs_uid=user&ajs_trait_plan=Pro');
+
+      analytics.initialize(options, { persist : false });
+      expect(spy.calledWith('user', { plan : 'Pro' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('identifies traits without a user', function () {
+      var spy = sinon.spy(Provider.prototype, 'identify');
+      window.history.replaceState(null, '', '?ajs_trait_name=Achilles');
+
+      analytics.initialize(options, { persist : false });
+      expect(spy.calledWith(null, { name : 'Achilles' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('tracks an event with properties', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      window.history.replaceState(null, '', '?ajs_event=Clicked%20Email&ajs_prop_campaign=spring%20sale');
+
+      analytics.initialize(options);
+      expect(spy.calledWith('Clicked Email', { campaign : 'spring sale' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('sets the anonymous id', function () {
+      window.history.replaceState(null, '', '?ajs_aid=anonymous');
+
+      analytics.initialize(options);
+      expect(analytics.anonymousId()).to.equal('anonymous');
+
+      analytics.storage.remove('ajs_anonymous_id');
+    });
+
+    it('strips the parameters from the url', function () {
+      window.history.replaceState(null, '', '?ajs_event=party&page=2&ajs_prop_level=hard');
+
+      analytics.initialize(options);
+      expect(window.location.search).to.equal('?ajs_event=party&page=2&ajs_prop_level=hard');
+
+      analytics.initialize(options, { stripUrlParameters : true });
+      expect(window.location.search).to.equal('?page=2');
+    });
+  });
+
+
+  // Anonymous ID
+  // ------------
+
+  describe('anonymousId', function () {
+
+    it('generates and persists an anonymous id', function () {
+      var anonymousId = analytics.anonymousId();
+      expect(anonymousId).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+      expect(analytics.anonymousId()).to.equal(anonymousId);
+
+      analytics.initialize(options);
+      expect(analytics.anonymousId()).to.equal(anonymousId);
+    });
+
+    it('can be overridden', function () {
+      analytics.anonymousId('anonymous');
+      expect(analytics.anonymousId()).to.equal('anonymous');
+    });
+
+    it('sends the anonymous id in the context', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.track('party');
+      expect(spy.args[0][2].anonymousId).to.equal(analytics.anonymousId());
+
+      spy.restore();
+    });
+
+    it('aliases the anonymous visitor on the first identify', function () {
+      analytics.storage.remove('ajs_aliased');
+      analytics.initialize(options, { persist : false });
+      var spy = sinon.spy(Provider.prototype, 'alias');
+
+      analytics.identify('id');
+      expect(spy.calledWith('id', undefined)).to.be(true);
+
+      spy.reset();
+      analytics.identify('id');
+      expect(spy.called).to.be(false);
+
+      // Only once per visitor, even when the `userId` isn't persisted.
+      analytics.initialize(options, { persist : false });
+      analytics.identify('id');
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+  });
+
+
+  // Sessions
+  // --------
+
+  describe('sessions', function () {
+
+    // Pretend the visitor's last call was a while ago.
+    function expire () {
+      var now = new Date().getTime();
+      analytics.storage.set('ajs_session', {
+        id    : 'old',
+        start : now - 1860000,
+        last  : now - 1800001
+      });
+    }
+
+    afterEach(function () {
+      analytics.storage.remove('ajs_session');
+      analytics.initialize(options);
+    });
+
+    it('sends the session id in the context', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.track('party');
+      analytics.track('party');
+      expect(spy.args[0][2].sessionId).to.be.a('string');
+      expect(spy.args[1][2].sessionId).to.equal(spy.args[0][2].sessionId);
+
+      spy.restore();
+    });
+
+    it('starts a new session after the timeout', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      expire();
+      analytics.track('party');
+      expect(spy.args[0][2].sessionId).not.to.equal('old');
+
+      spy.restore();
+    });
+
+    it('uses the session timeout option', function () {
+      analytics.initialize(options, { sessionTimeout : 3600000 });
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      expire();
+      analytics.track('party');
+      expect(spy.args[0][2].sessionId).to.equal('old');
+
+      spy.restore();
+    });
+
+    it('tracks sessions starting and ending', function () {
+      analytics.initialize(options, { trackSessions : true });
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      expire();
+      analytics.track('party');
+      var sessionId = spy.args[2][2].sessionId;
+
+      expect(spy.args[0][0]).to.equal('Session Ended');
+      expect(spy.args[0][1]).to.eql({ sessionId : 'old', duration : 60 });
+      expect(spy.args[0][2].sessionId).to.equal('old');
+      expect(spy.args[1][0]).to.equal('Session Started');
+      expect(spy.args[1][1]).to.eql({ sessionId : sessionId });
+      expect(spy.args[2][0]).to.equal('party');
+
+      spy.reset();
+      analytics.track('party');
+      expect(spy.callCount).to.equal(1);
+
+      spy.restore();
+    });
+
+    it('tracks sessions regardless of the tracking plan', function () {
+      analytics.initialize(options, {
+        trackSessions : true,
+        plan          : { mode : 'strict', events : { 'party' : {} } }
+      });
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      expire();
       expect(function () {
-        analytics.ready('callback');
-      }).to.not.throwException();
+        analytics.track('party');
+      }).not.to.throwException();
+      expect(spy.args[0][0]).to.equal('Session Ended');
+      expect(spy.args[1][0]).to.equal('Session Started');
+
+      spy.restore();
     });
   });
 
@@ -149,7 +1539,8 @@ describe('Analytics.js', function () {
 
       expect(spy.args[0][0]).to.equal(userId);
       expect(spy.args[0][1]).to.eql(traits);
-      expect(spy.args[0][2]).to.eql(context);
+      expect(spy.args[0][2]).not.to.equal(context);
+      expect(spy.calledWith(userId, traits, sinon.match(context))).to.be(true);
 
       spy.restore();
     });
@@ -237,13 +1628,84 @@ describe('Analytics.js', function () {
             providers: { Test: false }
         };
 
-        analytics.identify(userId, traits, userContext);
+        analytics.identify(userId, traits, userContext);
+
+        expect(spy.called).to.be(false);
+
+        spy.restore();
+    });
+
+  });
+
+
+  // Group
+  // -----
+
+  describe('group', function () {
+
+    var Grouped = Provider.extend({
+      group : function (groupId, traits) {}
+    });
+    analytics.addProvider('Grouped', Grouped);
+
+    it('is called on providers', function () {
+      analytics.initialize({ 'Grouped' : 'x' });
+      var spy = sinon.spy(Grouped.prototype, 'group');
+
+      analytics.group('group', { name : 'Olympus' });
+      expect(spy.calledWith('group', { name : 'Olympus' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('caches and persists the groupId and traits', function () {
+      analytics.initialize({ 'Grouped' : 'x' });
+      analytics.group('group', { name : 'Olympus' });
+      analytics.group({ plan : 'Enterprise' });
+
+      var spy = sinon.spy(Grouped.prototype, 'group');
+      analytics.initialize({ 'Grouped' : 'x' });
+
+      expect(analytics.groupId).to.equal('group');
+      expect(analytics.groupTraits).to.eql({ name : 'Olympus', plan : 'Enterprise' });
+      expect(spy.calledWith('group', { name : 'Olympus', plan : 'Enterprise' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('adds the groupId to the context of every call', function () {
+      analytics.initialize(options);
+      analytics.group('group');
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.track('party');
+      expect(spy.args[0][2].groupId).to.equal('group');
+
+      spy.restore();
+    });
+
+    it('calls the callback after the timeout duration', function (done) {
+      var callback = sinon.spy();
+
+      analytics.group('group', { name : 'Olympus' }, callback);
+
+      expect(callback.called).to.be(false);
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        done();
+      }, analytics.timeout);
+    });
+
+    it('is turned off by the single provider flag', function () {
+      analytics.initialize({ 'Grouped' : 'x' });
+      var spy = sinon.spy(Grouped.prototype, 'group');
 
-        expect(spy.called).to.be(false);
+      analytics.group('group', {}, { providers : { Grouped : false } });
+      expect(spy.called).to.be(false);
 
-        spy.restore();
+      spy.restore();
+      analytics.initialize(options);
     });
-
   });
 
 
@@ -303,7 +1765,8 @@ describe('Analytics.js', function () {
 
         expect(spy.args[0][0]).to.equal(eventName);
         expect(spy.args[0][1]).to.eql(properties);
-        expect(spy.args[0][2]).to.eql(context);
+        expect(spy.args[0][2]).not.to.equal(context);
+        expect(spy.calledWith(eventName, properties, sinon.match(context))).to.be(true);
 
         spy.restore();
     });
@@ -320,6 +1783,222 @@ describe('Analytics.js', function () {
         done();
       }, analytics.timeout);
     });
+
+    it('respects the include and exclude events options', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      analytics.providers[0].options.events = {
+        include : ['party', /^Signed/],
+        exclude : 'Signed Out'
+      };
+
+      analytics.track('party');
+      analytics.track('Signed Up');
+      analytics.track('Signed Out');
+      analytics.track('sleep');
+      expect(spy.callCount).to.equal(2);
+      expect(spy.calledWith('party')).to.be(true);
+      expect(spy.calledWith('Signed Up')).to.be(true);
+
+      delete analytics.providers[0].options.events;
+      spy.restore();
+    });
+
+    it('renames events with the events option', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      var emitted = sinon.spy();
+      analytics.once('track', emitted);
+      analytics.providers[0].options.events = {
+        rename : { 'Signed Up' : 'signup' }
+      };
+
+      analytics.track('Signed Up');
+      expect(spy.calledWith('signup')).to.be(true);
+      expect(emitted.calledWith('Signed Up')).to.be(true);
+
+      analytics.providers[0].options.events.rename = function (event) {
+        return event.toLowerCase();
+      };
+      analytics.track('Party');
+      expect(spy.calledWith('party')).to.be(true);
+
+      delete analytics.providers[0].options.events;
+      spy.restore();
+    });
+
+    it('samples visitors with the sampleRate option', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      analytics.providers[0].options.sampleRate = 50;
+
+      // Each visitor is always, or never, sampled.
+      var sampled = [];
+      for (var i = 0; i < 20; i++) {
+        analytics.anonymousId('visitor-' + i);
+        spy.reset();
+        analytics.track('party');
+        analytics.track('party');
+        expect(spy.callCount === 0 || spy.callCount === 2).to.be(true);
+        if (spy.called) sampled.push(spy.args[0][2].sample);
+      }
+      expect(sampled.length).to.be.within(1, 19);
+      expect(sampled[0]).to.eql({ rate : 50, by : 'visitor' });
+
+      delete analytics.providers[0].options.sampleRate;
+      spy.restore();
+    });
+
+    it('samples events with the sampleBy option', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+      analytics.providers[0].options.sampleRate = 0;
+      analytics.providers[0].options.sampleBy = 'event';
+
+      analytics.track('party');
+      expect(spy.called).to.be(false);
+
+      analytics.providers[0].options.sampleRate = 100;
+      analytics.track('party');
+      expect(spy.args[0][2].sample).to.eql({ rate : 100, by : 'event' });
+
+      delete analytics.providers[0].options.sampleRate;
+      delete analytics.providers[0].options.sampleBy;
+      spy.restore();
+    });
+
+    it('calls the callback as soon as every provider confirms', function () {
+      var Confirmed = Provider.extend({
+        callbacks : ['track'],
+        track     : function (event, properties, context, callback) {}
+      });
+      analytics.addProvider('Confirmed', Confirmed);
+      analytics.initialize({ 'Confirmed' : 'x' });
+
+      var spy      = sinon.spy(Confirmed.prototype, 'track');
+      var callback = sinon.spy();
+
+      analytics.track('party', {}, callback);
+      expect(callback.called).to.be(false);
+
+      spy.args[0][3]();
+      expect(callback.calledOnce).to.be(true);
+
+      // Confirming twice, or the timeout passing, doesn't call it again.
+      spy.args[0][3]();
+      expect(callback.calledOnce).to.be(true);
+
+      spy.restore();
+      analytics.initialize(options);
+    });
+
+    it('waits for the timeout if a provider can\'t confirm', function (done) {
+      var Confirmed = Provider.extend({
+        callbacks : ['track'],
+        track     : function (event, properties, context, callback) {}
+      });
+      analytics.addProvider('Confirmed', Confirmed);
+      analytics.initialize({ 'Confirmed' : 'x', 'Test' : 'x' });
+
+      var spy      = sinon.spy(Confirmed.prototype, 'track');
+      var callback = sinon.spy();
+
+      analytics.track('party', {}, callback);
+      spy.args[0][3]();
+      expect(callback.called).to.be(false);
+
+      spy.restore();
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        analytics.initialize(options);
+        done();
+      }, analytics.timeout);
+    });
+
+    it('calls the callback right away if nothing is sent', function (done) {
+      var callback = sinon.spy();
+
+      analytics.track('party', {}, { providers : { all : false } }, callback);
+
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        done();
+      }, 10);
+    });
+  });
+
+
+  // Super Properties
+  // ----------------
+
+  describe('register', function () {
+
+    afterEach(function () {
+      analytics.superProperties = {};
+    });
+
+    it('adds super properties to every track', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.register({ plan : 'Startup' });
+      analytics.track('party', { level : 'hard' });
+      expect(spy.calledWith('party', { plan : 'Startup', level : 'hard' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('lets track properties win over super properties', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.register({ level : 'easy' });
+      analytics.track('party', { level : 'hard' });
+      expect(spy.calledWith('party', { level : 'hard' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('doesnt overwrite with registerOnce', function () {
+      analytics.register({ plan : 'Startup' });
+      analytics.registerOnce({ plan : 'Enterprise', appVersion : '1.2.0' });
+      expect(analytics.superProperties).to.eql({
+        plan       : 'Startup',
+        appVersion : '1.2.0'
+      });
+    });
+
+    it('removes super properties with unregister', function () {
+      var spy = sinon.spy(Provider.prototype, 'track');
+
+      analytics.register({ plan : 'Startup', appVersion : '1.2.0' });
+      analytics.unregister('plan');
+      analytics.track('party');
+      expect(spy.calledWith('party', { appVersion : '1.2.0' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('persists super properties when told to', function () {
+      analytics.initialize(options, { persistSuperProperties : true });
+      analytics.register({ plan : 'Startup' });
+
+      analytics.superProperties = {};
+      analytics.initialize(options, { persistSuperProperties : true });
+      expect(analytics.superProperties).to.eql({ plan : 'Startup' });
+
+      analytics.unregister('plan');
+      analytics.initialize(options);
+    });
+
+    it('applies calls made before initialize on top of persisted ones', function () {
+      analytics.initialize(options, { persistSuperProperties : true });
+      analytics.register({ firstSeen : 'monday', plan : 'Startup' });
+
+      analytics.initialized = false;
+      analytics.superProperties = {};
+      analytics.registerOnce({ firstSeen : 'tuesday' });
+      analytics.unregister('plan');
+      analytics.initialize(options, { persistSuperProperties : true });
+      expect(analytics.superProperties).to.eql({ firstSeen : 'monday' });
+
+      analytics.unregister('firstSeen');
+      analytics.initialize(options);
+    });
   });
 
 
@@ -433,6 +2112,27 @@ describe('Analytics.js', function () {
       spy.restore();
     });
 
+    it('loads an href on a link click before initialize', function (done) {
+      var link = $('<a href="#queued">')[0];
+
+      // Make sure hash is reset.
+      window.location.hash = '';
+
+      analytics.trackLink(link, 'party');
+      analytics.initialized = false;
+
+      triggerClick(link);
+      expect(analytics.queue.length).to.equal(1);
+
+      // The queued track can't call back, so the href is applied after the
+      // timeout instead.
+      setTimeout(function () {
+        expect(window.location.hash).to.equal('#queued');
+        analytics.initialize(options);
+        done();
+      }, analytics.timeout + 10);
+    });
+
     it('triggers a track but doesnt load an href on an href with blank target', function () {
       var spy  = sinon.spy(Provider.prototype, 'track');
       var link = $('<a href="http://google.com" target="_blank">')[0];
@@ -536,6 +2236,68 @@ describe('Analytics.js', function () {
   });
 
 
+  // Page
+  // ----
+
+  describe('page', function () {
+
+    var Paged = Provider.extend({
+      page : function (category, name, properties, context) {}
+    });
+    analytics.addProvider('Paged', Paged);
+
+    it('is called on providers', function () {
+      analytics.initialize({ 'Paged' : 'x' });
+      var spy = sinon.spy(Paged.prototype, 'page');
+
+      analytics.page('Docs', 'Setup', { path : '/docs/setup' });
+      expect(spy.calledWith('Docs', 'Setup', { path : '/docs/setup' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('shifts the arguments when there is no category', function () {
+      analytics.initialize({ 'Paged' : 'x' });
+      var spy = sinon.spy(Paged.prototype, 'page');
+
+      analytics.page('Setup', { path : '/docs/setup' });
+      expect(spy.calledWith(null, 'Setup', { path : '/docs/setup' })).to.be(true);
+
+      spy.reset();
+      analytics.page('Setup');
+      expect(spy.calledWith(null, 'Setup', {})).to.be(true);
+
+      spy.reset();
+      analytics.page({ path : '/docs/setup' });
+      expect(spy.calledWith(null, null, { path : '/docs/setup' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('calls the callback after the timeout duration', function (done) {
+      var callback = sinon.spy();
+
+      analytics.page('Docs', 'Setup', callback);
+
+      expect(callback.called).to.be(false);
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        done();
+      }, analytics.timeout);
+    });
+
+    it('falls back to pageview for older providers', function () {
+      analytics.initialize(options);
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      analytics.page('Docs', 'Setup', { path : '/docs/setup' });
+      expect(spy.calledWith('/docs/setup')).to.be(true);
+
+      spy.restore();
+    });
+  });
+
+
   // Pageview
   // --------
 
@@ -550,6 +2312,115 @@ describe('Analytics.js', function () {
 
       spy.restore();
     });
+
+    it('calls page with the url as the path', function () {
+      var spy = sinon.spy(analytics, 'page');
+
+      analytics.pageview('/url');
+      expect(spy.calledWith(null, null, { path : '/url' })).to.be(true);
+
+      spy.restore();
+    });
+
+    it('calls the callback after the timeout duration', function (done) {
+      var callback = sinon.spy();
+
+      analytics.pageview('/url', callback);
+
+      expect(callback.called).to.be(false);
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        done();
+      }, analytics.timeout);
+    });
+
+    it('is turned off by the single provider flag', function () {
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      analytics.pageview('/url', { providers : { Test : false } });
+      expect(spy.called).to.be(false);
+
+      analytics.pageview({ providers : { Test : false } });
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+
+    it('is turned off by the all provider flag', function () {
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      analytics.pageview('/url', { providers : { all : false } });
+      expect(spy.called).to.be(false);
+
+      analytics.pageview('/url', { providers : { All : false, Test : true } });
+      expect(spy.called).to.be(true);
+
+      spy.restore();
+    });
+  });
+
+
+  // Automatic Pageviews
+  // -------------------
+
+  describe('autoPageview', function () {
+
+    var href = window.location.href;
+
+    afterEach(function () {
+      window.history.replaceState(null, '', href);
+      analytics.initialize(options);
+    });
+
+    it('calls page when the url changes', function (done) {
+      analytics.initialize(options, { autoPageview : true });
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      window.history.pushState(null, '', '/route');
+      setTimeout(function () {
+        expect(spy.calledWith('/route')).to.be(true);
+        spy.restore();
+        done();
+      }, 10);
+    });
+
+    it('calls page when the hash changes', function (done) {
+      analytics.initialize(options, { autoPageview : true });
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      window.location.hash = '#/route';
+      setTimeout(function () {
+        expect(spy.calledWith(window.location.pathname + window.location.search + '#/route')).to.be(true);
+        spy.restore();
+        done();
+      }, 50);
+    });
+
+    it('doesnt call page for the same url twice', function (done) {
+      analytics.initialize(options, { autoPageview : true });
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      window.history.pushState(null, '', '/route');
+      setTimeout(function () {
+        window.history.replaceState({ state : true }, '', '/route');
+        setTimeout(function () {
+          expect(spy.callCount).to.equal(1);
+          spy.restore();
+          done();
+        }, 10);
+      }, 10);
+    });
+
+    it('is off by default', function (done) {
+      var spy = sinon.spy(Provider.prototype, 'pageview');
+
+      window.history.pushState(null, '', '/route');
+      setTimeout(function () {
+        expect(spy.called).to.be(false);
+        spy.restore();
+        done();
+      }, 10);
+    });
   });
 
 
@@ -567,6 +2438,42 @@ describe('Analytics.js', function () {
 
       spy.restore();
     });
+
+    it('calls the callback after the timeout duration', function (done) {
+      var callback = sinon.spy();
+
+      analytics.alias('new', 'old', callback);
+
+      expect(callback.called).to.be(false);
+      setTimeout(function () {
+        expect(callback.called).to.be(true);
+        done();
+      }, analytics.timeout);
+    });
+
+    it('is turned off by the single provider flag', function () {
+      var spy = sinon.spy(Provider.prototype, 'alias');
+
+      analytics.alias('new', 'old', { providers : { Test : false } });
+      expect(spy.called).to.be(false);
+
+      analytics.alias('new', { providers : { Test : false } });
+      expect(spy.called).to.be(false);
+
+      spy.restore();
+    });
+
+    it('is turned off by the all provider flag', function () {
+      var spy = sinon.spy(Provider.prototype, 'alias');
+
+      analytics.alias('new', 'old', { providers : { all : false } });
+      expect(spy.called).to.be(false);
+
+      analytics.alias('new', 'old', { providers : { All : false, Test : true } });
+      expect(spy.calledWith('new', 'old')).to.be(true);
+
+      spy.restore();
+    });
   });
 
 });
@@ -10,7 +10,6 @@ describe('Bitdeli', function () {
       var spy = sinon.spy();
       analytics.ready(spy);
       analytics.initialize({ 'Bitdeli' : test['Bitdeli'] });
-      expect(spy.called).to.be(true);
 
       // After initialize, the queue should be made, but the library isn't
       // loaded yet, so `_version` isn't defined.
@@ -19,6 +18,7 @@ describe('Bitdeli', function () {
 
       // Once the library loads, `_version` is defined.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window._bdq._version).not.to.be(undefined);
         done();
       }, 1900);
@@ -47,6 +47,15 @@ describe('Chartbeat', function () {
       spy.restore();
     });
 
+    it('should set the section and title', function () {
+      var spy = sinon.spy(window.pSUPERFLY, 'virtualPage');
+      analytics.page('Docs', 'Setup', { path : test.url });
+      expect(spy.calledWith(test.url, 'Docs Setup')).to.be(true);
+      expect(window._sf_async_config.sections).to.equal('Docs');
+
+      spy.restore();
+    });
+
   });
 
 });
\ No newline at end of file
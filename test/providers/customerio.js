@@ -13,10 +13,10 @@ describe('Customer.io', function () {
       expect(analytics.providers[0].options.siteId).to.equal('x');
       expect(window._cio).not.to.be(undefined);
       expect(window._cio.pageHasLoaded).to.be(undefined);
-      expect(spy.called).to.be(true);
 
       // When the library is actually loaded `pageHasLoaded` is set.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window._cio.pageHasLoaded).not.to.be(undefined);
         done();
       }, 1900);
@@ -47,6 +47,25 @@ describe('Customer.io', function () {
   });
 
 
+  describe('group', function () {
+
+    it('should call identify with the groupId', function () {
+      var spy = sinon.spy(window._cio, 'identify');
+      analytics.identify(test.userId);
+      spy.reset();
+
+      analytics.group(test.groupId, test.groupTraits);
+      expect(spy.calledWith({
+        id      : test.userId,
+        groupId : test.groupId
+      })).to.be(true);
+
+      spy.restore();
+    });
+
+  });
+
+
   describe('track', function () {
 
     it('should call track', function () {
@@ -3,7 +3,7 @@ describe('Errorception', function () {
 
   describe('initialize', function () {
 
-    it('should call ready and load library', function () {
+    it('should call ready and load library', function (done) {
       expect(window._errs).to.be(undefined);
 
       var spy = sinon.spy();
@@ -11,7 +11,12 @@ describe('Errorception', function () {
       analytics.initialize({ 'Errorception' : test['Errorception'] });
       expect(window._errs).not.to.be(undefined);
       expect(analytics.providers[0].options.projectId).to.equal('x');
-      expect(spy.called).to.be(true);
+
+      // Ready callbacks wait until we've finished initializing.
+      setTimeout(function () {
+        expect(spy.called).to.be(true);
+        done();
+      }, 10);
     });
 
   });
@@ -3,14 +3,19 @@ describe('FoxMetrics', function () {
 
   describe('initialize', function () {
 
-    it('should call ready and load library', function () {
+    it('should call ready and load library', function (done) {
       expect(window._fxm).to.be(undefined);
 
       var spy = sinon.spy();
       analytics.ready(spy);
       analytics.initialize({ 'FoxMetrics' : test['FoxMetrics'] });
       expect(window._fxm).not.to.be(undefined);
-      expect(spy.called).to.be(true);
+
+      // Ready callbacks wait until we've finished initializing.
+      setTimeout(function () {
+        expect(spy.called).to.be(true);
+        done();
+      }, 10);
     });
 
     it ('should store options', function () {
@@ -62,12 +67,19 @@ describe('FoxMetrics', function () {
 
     it('calls [fxm.pages.view] on pageview', function () {
       var spy = sinon.spy(window._fxm, 'push');
+      var title    = document.title || null;
+      var referrer = document.referrer || null;
+
       analytics.pageview();
-      expect(spy.calledWith(['_fxm.pages.view', null, null, null, null, null])).to.be(true);
+      expect(spy.calledWith(['_fxm.pages.view', title, null, null, null, referrer])).to.be(true);
 
       spy.reset();
       analytics.pageview(test.url);
-      expect(spy.calledWith(['_fxm.pages.view', null, null, null, test.url, null])).to.be(true);
+      expect(spy.calledWith(['_fxm.pages.view', title, null, null, test.url, referrer])).to.be(true);
+
+      spy.reset();
+      analytics.page('Docs', 'Setup', { path : test.url });
+      expect(spy.calledWith(['_fxm.pages.view', title, 'Setup', 'Docs', test.url, referrer])).to.be(true);
 
       spy.restore();
     });
@@ -11,9 +11,9 @@ describe('Gauges', function () {
       analytics.initialize({ 'Gauges' : test['Gauges'] });
       expect(window._gauges).not.to.be(undefined);
       expect(window._gauges.push).to.eql(Array.prototype.push);
-      expect(spy.called).to.be(true);
 
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window._gauges.push).not.to.eql(Array.prototype.push);
         done();
       }, 1900);
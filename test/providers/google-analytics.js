@@ -13,10 +13,10 @@ describe('Google Analytics', function () {
       analytics.initialize({ 'Google Analytics' : test['Google Analytics'] });
       expect(window._gaq).not.to.be(undefined);
       expect(window._gaq.push).to.eql(Array.prototype.push);
-      expect(spy.called).to.be(true);
 
       // When the library loads, push will be overriden.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window._gaq.push).not.to.eql(Array.prototype.push);
         done();
       }, 3500);
@@ -76,8 +76,8 @@ describe('Google Analytics', function () {
     });
 
     it('should add canonical url', function () {
-      // Add the meta tag we need.
-      var $meta = $('<meta rel="canonical" href="http://google.com/a-thing">').appendTo('head');
+      // Add the link tag we need.
+      var $link = $('<link rel="canonical" href="http://google.com/a-thing">').appendTo('head');
       // Define `_gaq` so we can spy on it.
       window._gaq = [];
       var spy = sinon.spy(window._gaq, 'push');
@@ -86,7 +86,7 @@ describe('Google Analytics', function () {
       expect(spy.calledWith(['_trackPageview', '/a-thing'])).to.be(true);
 
       spy.restore();
-      $meta.remove();
+      $link.remove();
     });
 
     it('shouldnt add canonical url', function () {
@@ -94,11 +94,37 @@ describe('Google Analytics', function () {
       var spy = sinon.spy(window._gaq, 'push');
 
       analytics.initialize({ 'Google Analytics' : 'x' });
-      expect(spy.calledWith(['_trackPageview', undefined])).to.be(true);
+      expect(spy.calledWith(['_trackPageview', window.location.pathname + window.location.search])).to.be(true);
 
       spy.restore();
     });
 
+    it('should set the session timeout', function () {
+      window._gaq = [];
+      var spy = sinon.spy(window._gaq, 'push');
+
+      analytics.initialize({ 'Google Analytics' : { trackingId : 'x', sessionTimeout : 1800000 } });
+      expect(spy.calledWith(['_setSessionCookieTimeout', 1800000])).to.be(true);
+
+      spy.restore();
+    });
+
+    it('should push to a named tracker', function () {
+      window._gaq = [];
+      var spy = sinon.spy(window._gaq, 'push');
+
+      analytics.initialize({ 'Google Analytics' : { trackingId : 'x', name : 'widget' } });
+      expect(spy.calledWith(['widget._setAccount', 'x'])).to.be(true);
+      expect(spy.calledWith(['widget._trackPageview', window.location.pathname + window.location.search])).to.be(true);
+
+      spy.reset();
+      analytics.track(test.event);
+      expect(spy.calledWith(['widget._trackEvent', 'All', test.event, undefined, undefined, undefined])).to.be(true);
+
+      spy.restore();
+      analytics.initialize({ 'Google Analytics' : 'x' });
+    });
+
   });
 
 
@@ -198,6 +224,15 @@ describe('Google Analytics', function () {
       spy.restore();
     });
 
+    it('should set a hitCallback for just that hit', function () {
+      var spy = sinon.spy(window._gaq, 'push');
+      analytics.track(test.event, {}, function () {});
+      expect(spy.calledWith(['_set', 'hitCallback', sinon.match.func])).to.be(true);
+      expect(spy.lastCall.calledWith(['_set', 'hitCallback', null])).to.be(true);
+
+      spy.restore();
+    });
+
   });
 
 
@@ -206,7 +241,7 @@ describe('Google Analytics', function () {
     it('should push "_trackPageview"', function () {
       var spy = sinon.spy(window._gaq, 'push');
       analytics.pageview();
-      expect(spy.calledWith(['_trackPageview', undefined])).to.be(true);
+      expect(spy.calledWith(['_trackPageview', window.location.pathname + window.location.search])).to.be(true);
       spy.restore();
     });
 
@@ -217,6 +252,18 @@ describe('Google Analytics', function () {
       spy.restore();
     });
 
+    it('should set the title of named pages', function () {
+      var spy = sinon.spy(window._gaq, 'push');
+      analytics.page('Docs', 'Setup', { path : test.url });
+      expect(spy.calledWith(['_set', 'title', 'Docs Setup'])).to.be(true);
+      expect(spy.calledWith(['_trackPageview', test.url])).to.be(true);
+
+      spy.reset();
+      analytics.page({ path : test.url });
+      expect(spy.calledWith(['_set', 'title', document.title])).to.be(true);
+      spy.restore();
+    });
+
   });
 
 });
@@ -11,10 +11,10 @@ describe('GoSquared', function () {
       analytics.initialize({ 'GoSquared' : test['GoSquared'] });
       expect(window.GoSquared).not.to.be(undefined);
       expect(window.GoSquared.DefaultTracker).to.be(undefined);
-      expect(spy.called).to.be(true);
 
       // When the library loads, the tracker will be available.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window.GoSquared.DefaultTracker).not.to.be(undefined);
         done();
       }, 1900);
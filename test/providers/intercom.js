@@ -15,21 +15,29 @@ describe('Intercom', function () {
 
   describe('initialize', function () {
 
-    it('should call ready', function () {
+    // Intercom loads its library on the first identify, so don't let a user
+    // persisted by other tests get identified on initialize.
+
+    it('should call ready', function (done) {
       var spy = sinon.spy();
       analytics.ready(spy);
-      analytics.initialize({ 'Intercom' : test['Intercom'] });
-      expect(spy.called).to.be(true);
+      analytics.initialize({ 'Intercom' : test['Intercom'] }, { persist : false });
+
+      // Ready callbacks wait until we've finished initializing.
+      setTimeout(function () {
+        expect(spy.called).to.be(true);
+        done();
+      }, 10);
     });
 
     it('should store options', function () {
-      analytics.initialize({ 'Intercom' : test['Intercom'] });
+      analytics.initialize({ 'Intercom' : test['Intercom'] }, { persist : false });
       expect(analytics.providers[0].options.appId).to.equal(test['Intercom']);
     });
 
     it('should store expanded options', function () {
 
-      analytics.initialize({ 'Intercom' : options });
+      analytics.initialize({ 'Intercom' : options }, { persist : false });
 
       options.counter = true;
 
@@ -72,6 +80,15 @@ describe('Intercom', function () {
       }, 2500);
     });
 
+    it('should update the company on group', function () {
+      analytics.group(test.groupId, test.groupTraits);
+      expect(window.intercomSettings.company).to.eql({
+        id   : test.groupId,
+        name : test.groupTraits.name,
+        plan : test.groupTraits.plan
+      });
+    });
+
     it('shouldnt load library the second time', function () {
       // We're going to test that `window.intercomSettings` doesnt get reset
       // to identified values again.
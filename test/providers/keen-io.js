@@ -14,11 +14,11 @@ describe('Keen IO', function () {
       expect(window.Keen.addEvent).not.to.be(undefined);
       expect(window.Keen._pId).to.equal('KEEN_PROJECT_ID');
       expect(window.Keen._ak).to.equal('KEEN_API_KEY');
-      expect(spy.called).to.be(true);
 
       // When the Keen IO library loads, it creates some keys we can test.
       expect(window.Keen.Base64).to.be(undefined);
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window.Keen.Base64).not.to.be(undefined);
         done();
       }, 1900);
@@ -82,6 +82,23 @@ describe('Keen IO', function () {
       spy.restore();
     });
 
+    it('passes a callback for success and error', function () {
+      var spy = sinon.spy(window.Keen, 'addEvent');
+      analytics.track(test.event, test.properties, function () {});
+      expect(spy.args[0][2]).to.be.a('function');
+      expect(spy.args[0][3]).to.equal(spy.args[0][2]);
+
+      spy.restore();
+    });
+
+    it('adds the session id', function () {
+      var spy = sinon.spy(window.Keen, 'addEvent');
+      analytics.track(test.event, test.properties);
+      expect(spy.args[0][1].sessionId).to.equal(analytics.storage.get('ajs_session').id);
+
+      spy.restore();
+    });
+
   });
 
 });
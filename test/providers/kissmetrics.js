@@ -9,12 +9,12 @@ describe('KISSmetrics', function () {
       var spy = sinon.spy();
       analytics.ready(spy);
       analytics.initialize({ 'KISSmetrics' : test['KISSmetrics'] });
-      expect(spy.called).to.be(true);
       expect(window._kmq).not.to.be(undefined);
       expect(window.KM).to.be(undefined);
 
       // When the library loads, it will create a `KM` global.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window.KM).not.to.be(undefined);
         done();
       }, 1900);
@@ -64,6 +64,23 @@ describe('KISSmetrics', function () {
   });
 
 
+  describe('group', function () {
+
+    it('should push "_set" with prefixed traits', function () {
+      var stub = sinon.stub(window._kmq, 'push');
+      analytics.group(test.groupId, test.groupTraits);
+      expect(stub.calledWith(['set', {
+        'Group - id'   : test.groupId,
+        'Group - name' : test.groupTraits.name,
+        'Group - plan' : test.groupTraits.plan
+      }])).to.be(true);
+
+      stub.restore();
+    });
+
+  });
+
+
   describe('track', function () {
 
     it('should push "_record"', function () {
@@ -90,6 +107,18 @@ describe('KISSmetrics', function () {
       stub.restore();
     });
 
+    it('shouldnt alias when a visitor is first identified', function () {
+      var stub = sinon.stub(window._kmq, 'push');
+      analytics.userId = null;
+      analytics.storage.remove('ajs_aliased');
+
+      analytics.identify(test.userId);
+      expect(stub.calledWith(['identify', test.userId])).to.be(true);
+      expect(stub.calledWith(['alias', test.userId, undefined])).to.be(false);
+
+      stub.restore();
+    });
+
   });
 
 });
\ No newline at end of file
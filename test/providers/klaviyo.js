@@ -3,14 +3,19 @@ describe('Klaviyo', function () {
 
   describe('initialize', function () {
 
-    it('should call ready and load library', function () {
+    it('should call ready and load library', function (done) {
       expect(window._learnq).to.be(undefined);
 
       var spy = sinon.spy();
       analytics.ready(spy);
       analytics.initialize({ 'Klaviyo' : test['Klaviyo'] });
       expect(window._learnq).not.to.be(undefined);
-      expect(spy.called).to.be(true);
+
+      // Ready callbacks wait until we've finished initializing.
+      setTimeout(function () {
+        expect(spy.called).to.be(true);
+        done();
+      }, 10);
     });
 
     it('should store options', function () {
@@ -20,10 +20,10 @@ describe('Mixpanel', function () {
       expect(analytics.providers[0].options.token).to.equal(test['Mixpanel']);
       expect(window.mixpanel).not.to.be(undefined);
       expect(window.mixpanel.config).to.be(undefined);
-      expect(spy.called).to.be(true);
 
       // When the library loads, it sets `config`.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window.mixpanel.config).not.to.be(undefined);
         done();
       }, 1900);
@@ -124,6 +124,19 @@ describe('Mixpanel', function () {
   });
 
 
+  describe('group', function () {
+
+    it('should register the company', function () {
+      var spy = sinon.spy(window.mixpanel, 'register');
+      analytics.group(test.groupId, test.groupTraits);
+      expect(spy.calledWith({ company : test.groupId })).to.be(true);
+
+      spy.restore();
+    });
+
+  });
+
+
   describe('track', function () {
 
     it('should call track', function () {
@@ -135,6 +148,22 @@ describe('Mixpanel', function () {
       spy.restore();
     });
 
+    it('should pass a callback to track', function () {
+      var spy = sinon.spy(window.mixpanel, 'track');
+      analytics.track(test.event, test.properties, function () {});
+      expect(spy.calledWith(test.event, sinon.match(test.properties), sinon.match.func)).to.be(true);
+
+      spy.restore();
+    });
+
+    it('should add the session id', function () {
+      var spy = sinon.spy(window.mixpanel, 'track');
+      analytics.track(test.event, test.properties);
+      expect(spy.args[0][1].sessionId).to.equal(analytics.storage.get('ajs_session').id);
+
+      spy.restore();
+    });
+
     it('should call track_charge with revenue', function () {
       // The revenue feature requires `people` to be turned on.
       analytics.providers[0].options.people = true;
@@ -164,6 +193,20 @@ describe('Mixpanel', function () {
       spy.restore();
     });
 
+    it('should track named pages', function () {
+      var spy = sinon.spy(window.mixpanel, 'track');
+      analytics.page('Docs', 'Setup', { path : test.url });
+      expect(spy.calledWith('Viewed Docs Setup Page', { path : test.url })).to.be(true);
+
+      spy.reset();
+      analytics.providers[0].options.trackNamedPages = false;
+      analytics.page('Docs', 'Setup');
+      expect(spy.called).to.be(false);
+
+      analytics.providers[0].options.trackNamedPages = true;
+      spy.restore();
+    });
+
   });
 
 
@@ -179,4 +222,23 @@ describe('Mixpanel', function () {
 
   });
 
+
+  describe('named instances', function () {
+
+    it('should track to a named instance', function () {
+      analytics.initialize({ 'Mixpanel' : { token : test['Mixpanel'], name : 'widget' } });
+      expect(window.mixpanel.widget).not.to.be(undefined);
+
+      var spy = sinon.spy(window.mixpanel.widget, 'track')
+        , other = sinon.spy(window.mixpanel, 'track');
+      analytics.track(test.event, test.properties);
+      expect(spy.calledWith(test.event, sinon.match(test.properties))).to.be(true);
+      expect(other.called).to.be(false);
+
+      spy.restore();
+      other.restore();
+    });
+
+  });
+
 });
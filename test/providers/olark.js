@@ -3,14 +3,19 @@ describe('Olark', function () {
 
   describe('initialize', function () {
 
-    it('should call ready and load library', function () {
+    it('should call ready and load library', function (done) {
       expect(window.olark).to.be(undefined);
 
       var spy = sinon.spy();
       analytics.ready(spy);
       analytics.initialize({ 'Olark' : test['Olark'] });
       expect(window.olark).not.to.be(undefined);
-      expect(spy.called).to.be(true);
+
+      // Ready callbacks wait until we've finished initializing.
+      setTimeout(function () {
+        expect(spy.called).to.be(true);
+        done();
+      }, 10);
     });
 
     it('should store options', function () {
@@ -101,6 +106,17 @@ describe('Olark', function () {
       spy.restore();
     });
 
+    it('should log the name of named pages', function () {
+      analytics.providers[0].options.pageview = true;
+      var spy = sinon.spy(window, 'olark');
+      analytics.page('Docs', 'Setup');
+      expect(spy.calledWithMatch('api.chat.sendNotificationToOperator', {
+        body : 'looking at Docs Setup (' + window.location.href + ')'
+      })).to.be(true);
+
+      spy.restore();
+    });
+
     it('shouldnt log event to operator', function () {
       analytics.providers[0].options.pageview = false;
       var spy = sinon.spy(window, 'olark');
@@ -11,10 +11,10 @@ describe('Vero', function () {
       analytics.initialize({ 'Vero' : test['Vero'] });
       expect(window._veroq).not.to.be(undefined);
       expect(window._veroq.push).to.equal(Array.prototype.push);
-      expect(spy.called).to.be(true);
 
       // When the library loads, it will overwrite the push method.
       setTimeout(function () {
+        expect(spy.called).to.be(true);
         expect(window._veroq.push).not.to.equal(Array.prototype.push);
         done();
       }, 1900);
@@ -27,6 +27,24 @@ describe('Woopra', function () {
       expect(analytics.providers[0].options.domain).to.equal(test['Woopra']);
     });
 
+    it('should set the idle timeout', function () {
+      var tracker = {
+        setDomain      : sinon.spy(),
+        setIdleTimeout : sinon.spy(),
+        track          : sinon.spy()
+      };
+
+      analytics.initialize({ 'Woopra' : test['Woopra'] });
+      window.woopraReady(tracker);
+      expect(tracker.setIdleTimeout.calledWith(300000)).to.be(true);
+
+      analytics.initialize({
+        'Woopra' : { domain : test['Woopra'], idleTimeout : 1800000 }
+      });
+      window.woopraReady(tracker);
+      expect(tracker.setIdleTimeout.calledWith(1800000)).to.be(true);
+    });
+
   });
 
 
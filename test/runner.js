@@ -4,6 +4,18 @@ window.mocha.setup({
   ignoreLeaks : true
 });
 
+// Clear any state that analytics.js persisted on a previous test run, so
+// that every run starts out with an anonymous visitor.
+(function () {
+  var cookies = document.cookie.split(';');
+  for (var i = 0; i < cookies.length; i++) {
+    var name = cookies[i].split('=')[0].replace(/^\s+/, '');
+    if (name.indexOf('ajs_') === 0) {
+      document.cookie = name + '=; path=/; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+    }
+  }
+})();
+
 $(function () {
   // Log errors in IE for easier testing.
   if (window.onerror) window.onerror = console.log;
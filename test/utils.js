@@ -22,6 +22,13 @@ window.test = {
 
   oldUserId : 'old',
 
+  groupId : 'group',
+
+  groupTraits : {
+    name : 'Olympus',
+    plan : 'Enterprise'
+  },
+
 
   // Providers
   // ---------